@@ -0,0 +1,313 @@
+// api-client.js - Typed client for the cookbook recipe API
+import { getAuthToken } from "./google-auth.js";
+import { refreshAccessToken } from "./token-storage.js";
+import { checkRateLimit, recordRateLimit, parseRetryAfter } from "./rate-limit.js";
+
+export const API_BASE_URL = "https://cookbook-577683305271.us-west1.run.app";
+const DEFAULT_TIMEOUT = 30 * 1000;
+
+/**
+ * Base class for every error the client throws. `name` is the class name,
+ * so it survives being passed between extension contexts as a string.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status, if the API answered
+   * @param {string} [details.body] - Response body, if the API answered
+   * @param {Object} [details.headers] - Response headers, lower-cased names
+   */
+  constructor(message, { status = null, body = null, headers = {} } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/** Missing or rejected credentials (401/403), even after a token refresh */
+export class AuthError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "AuthError";
+  }
+}
+
+/** The API is rate-limiting us (429), or told us to wait and the wait isn't over */
+export class RateLimitError extends ApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - As for ApiError, plus:
+   * @param {number} [details.retryAfter] - How long to wait (ms); read from Retry-After if omitted
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = "RateLimitError";
+    this.retryAfter = details.retryAfter ?? parseRetryAfter(this.headers["retry-after"]);
+  }
+}
+
+/** The API failed on its side (5xx) */
+export class ServerError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ServerError";
+  }
+}
+
+/** The API could not be reached at all: offline, DNS failure, timeout */
+export class NetworkError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "NetworkError";
+  }
+}
+
+/** The API answered, but not with the JSON we expected */
+export class ParseError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "ParseError";
+  }
+}
+
+/**
+ * Whether a failed request may succeed if sent again later, unchanged
+ * @param {Error} error - Error thrown by the client
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+  return (
+    error instanceof NetworkError || error instanceof ServerError || error instanceof RateLimitError
+  );
+}
+
+/**
+ * Client for the recipe API: one method per endpoint, Bearer token injection,
+ * request timeouts and typed errors
+ */
+export class ApiClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - API origin
+   * @param {number} [options.timeout] - Default request timeout in milliseconds
+   * @param {Function} [options.getToken] - Resolves to the current access token
+   * @param {Function} [options.refreshToken] - Refreshes the token, resolves falsy on failure
+   * @param {Object} [options.rateLimiter] - { check, record }, see rate-limit.js
+   */
+  constructor({
+    baseUrl = API_BASE_URL,
+    timeout = DEFAULT_TIMEOUT,
+    getToken = getAuthToken,
+    refreshToken = refreshAccessToken,
+    rateLimiter = { check: checkRateLimit, record: recordRateLimit },
+  } = {}) {
+    this.baseUrl = baseUrl;
+    this.timeout = timeout;
+    this.getToken = getToken;
+    this.refreshToken = refreshToken;
+    this.rateLimiter = rateLimiter;
+  }
+
+  /**
+   * POST /recipe with a JSON body: extract a recipe from page HTML. Every server
+   * version accepts this; see uploadRecipe for the smaller binary upload.
+   * @param {Object} payload - Request body
+   * @param {string} payload.url - Page URL
+   * @param {string} payload.title - Page title
+   * @param {string} payload.html - Gzipped, base64-encoded cleaned HTML
+   * @param {Object} [options] - Request options (see request)
+   * @returns {Promise<Object>} The recipe JSON as returned by the API
+   */
+  extractRecipe({ url, title, html }, options = {}) {
+    return this.request("/recipe", { ...options, method: "POST", body: { url, html, title } });
+  }
+
+  /**
+   * POST /recipe as multipart/form-data, with the gzipped HTML as a binary
+   * file part. Servers that only accept JSON answer 400 or 415.
+   * @param {Object} payload - Form fields
+   * @param {string} payload.url - Page URL
+   * @param {string} payload.title - Page title
+   * @param {Blob} payload.html - Gzipped cleaned HTML
+   * @param {Object} [options] - Request options (see request)
+   * @returns {Promise<Object>} The recipe JSON as returned by the API
+   */
+  uploadRecipe({ url, title, html }, options = {}) {
+    const form = new FormData();
+    form.append("url", url);
+    form.append("title", title);
+    form.append("encoding", "gzip");
+    form.append("html", html, "page.html.gz");
+    return this.request("/recipe", { ...options, method: "POST", body: form });
+  }
+
+  /**
+   * GET /actuator/info: backend build and health information
+   * @param {Object} [options] - Request options (see request)
+   * @returns {Promise<Object>} Info JSON
+   */
+  getInfo(options = {}) {
+    return this.request("/actuator/info", { ...options, method: "GET" });
+  }
+
+  /**
+   * Make an authenticated JSON request, retrying once with a fresh token on 401
+   * @param {string} path - Endpoint path
+   * @param {Object} [options]
+   * @param {string} [options.method] - HTTP method
+   * @param {Object|FormData} [options.body] - JSON body, or a form sent as multipart
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {number} [options.timeout] - Timeout in milliseconds
+   * @returns {Promise<Object>} Parsed JSON response
+   * @throws {ApiError} One of the typed errors above; aborting rethrows the AbortError
+   */
+  async request(path, options = {}) {
+    // Once the API has told us to back off, nothing is sent until the wait is over,
+    // however many tabs are extracting
+    const blockedFor = await this.rateLimiter.check();
+    if (blockedFor > 0) {
+      throw new RateLimitError(rateLimitMessage(blockedFor), { retryAfter: blockedFor });
+    }
+
+    let response = await this.sendAndRecord(path, options, await this.token());
+
+    if (response.status === 401) {
+      const refreshed = await this.refreshToken();
+      if (!refreshed) {
+        throw new AuthError("Authentication error. Please sign in again.", { status: 401 });
+      }
+      response = await this.sendAndRecord(path, options, await this.token());
+    }
+
+    return this.parseResponse(response);
+  }
+
+  async sendAndRecord(path, options, token) {
+    const response = await this.send(path, options, token);
+    await this.rateLimiter.record(response.status, collectHeaders(response.headers));
+    return response;
+  }
+
+  async token() {
+    try {
+      return await this.getToken();
+    } catch (error) {
+      throw new AuthError(error.message);
+    }
+  }
+
+  /**
+   * Send one request, enforcing the timeout
+   * @returns {Promise<Response>}
+   */
+  async send(path, { method = "GET", body, signal, timeout = this.timeout }, token) {
+    throwIfAborted(signal);
+
+    const extensionId = chrome.runtime.id;
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const forwardAbort = () => controller.abort();
+    if (signal) {
+      signal.addEventListener("abort", forwardAbort);
+    }
+
+    const headers = {
+      "Authorization": `Bearer ${token}`,
+      "X-Extension-ID": extensionId,
+      "X-Request-ID": `${extensionId}-${Date.now()}`,
+    };
+    // fetch sets the multipart Content-Type, boundary included, for forms
+    const isForm = typeof FormData !== "undefined" && body instanceof FormData;
+    if (body && !isForm) {
+      headers["Content-Type"] = "application/json";
+    }
+
+    try {
+      return await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers,
+        body: body && !isForm ? JSON.stringify(body) : body,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (timedOut) {
+        throw new NetworkError(`Request timed out after ${Math.round(timeout / 1000)}s`);
+      }
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      throw new NetworkError(error.message);
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener("abort", forwardAbort);
+      }
+    }
+  }
+
+  /**
+   * Turn a response into JSON or a typed error
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Object>} Parsed JSON
+   */
+  async parseResponse(response) {
+    const body = await response.text();
+    const details = { status: response.status, body, headers: collectHeaders(response.headers) };
+
+    if (response.status === 401 || response.status === 403) {
+      throw new AuthError("Authentication error. Please sign in again.", details);
+    }
+    if (response.status === 429) {
+      const retryAfter = parseRetryAfter(details.headers["retry-after"]);
+      throw new RateLimitError(rateLimitMessage(retryAfter), { ...details, retryAfter });
+    }
+    if (response.status >= 500) {
+      throw new ServerError(`API request failed (${response.status}): ${body || "Unknown error"}`, details);
+    }
+    if (!response.ok) {
+      throw new ApiError(`API request failed (${response.status}): ${body || "Unknown error"}`, details);
+    }
+
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      console.error("Failed to parse JSON:", error);
+      throw new ParseError("Invalid response format", details);
+    }
+  }
+}
+
+function rateLimitMessage(retryAfter) {
+  return retryAfter === null
+    ? "The recipe API is rate limiting requests"
+    : `The recipe API is rate limiting requests; try again in ${Math.ceil(retryAfter / 1000)}s`;
+}
+
+/**
+ * Throw the signal's abort reason if it has been aborted
+ * @param {AbortSignal} [signal] - Signal to check
+ * @throws {DOMException} An AbortError, unless the signal carries its own reason
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason || new DOMException("The operation was aborted", "AbortError");
+  }
+}
+
+function collectHeaders(headers) {
+  const result = {};
+  headers.forEach((value, key) => {
+    result[key.toLowerCase()] = value;
+  });
+  return result;
+}
+
+// Shared client used by the extraction pipeline
+export const apiClient = new ApiClient();
@@ -0,0 +1,168 @@
+import {
+  ApiClient,
+  AuthError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  ParseError,
+  isRetryable
+} from './api-client.js';
+
+jest.mock('./google-auth.js', () => ({ getAuthToken: jest.fn() }));
+jest.mock('./token-storage.js', () => ({ refreshAccessToken: jest.fn() }));
+
+global.chrome = {
+  runtime: { id: 'test-extension-id' }
+};
+
+// Stand-in for a fetch Response
+function mockResponse(status, body, headers = {}) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: new Map(Object.entries(headers)),
+    text: async () => body
+  };
+}
+
+let getToken;
+let refreshToken;
+let rateLimiter;
+let client;
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  console.error = jest.fn();
+  getToken = jest.fn().mockResolvedValue('token-1');
+  refreshToken = jest.fn().mockResolvedValue('token-2');
+  rateLimiter = { check: jest.fn().mockResolvedValue(0), record: jest.fn().mockResolvedValue(undefined) };
+  client = new ApiClient({ baseUrl: 'https://api.test', timeout: 50, getToken, refreshToken, rateLimiter });
+});
+
+describe('ApiClient', () => {
+  test('should post to /recipe with a Bearer token', async () => {
+    fetch.mockResolvedValue(mockResponse(200, '{"name":"Soup"}'));
+
+    const result = await client.extractRecipe({ url: 'https://example.com', title: 'Soup', html: 'abc' });
+
+    expect(result).toEqual({ name: 'Soup' });
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.test/recipe');
+    expect(options.method).toBe('POST');
+    expect(options.headers.Authorization).toBe('Bearer token-1');
+    expect(JSON.parse(options.body)).toEqual({ url: 'https://example.com', html: 'abc', title: 'Soup' });
+  });
+
+  test('should upload HTML as a multipart file', async () => {
+    fetch.mockResolvedValue(mockResponse(200, '{"name":"Soup"}'));
+    const html = new Blob([new Uint8Array([31, 139, 8])]);
+
+    await client.uploadRecipe({ url: 'https://example.com', title: 'Soup', html });
+
+    const [url, options] = fetch.mock.calls[0];
+    expect(url).toBe('https://api.test/recipe');
+    expect(options.body).toBeInstanceOf(FormData);
+    expect(options.body.get('encoding')).toBe('gzip');
+    expect(options.body.get('html').name).toBe('page.html.gz');
+    expect(options.headers['Content-Type']).toBeUndefined();
+  });
+
+  test('should refresh the token and retry once on 401', async () => {
+    getToken.mockResolvedValueOnce('token-1').mockResolvedValueOnce('token-2');
+    fetch
+      .mockResolvedValueOnce(mockResponse(401, 'expired'))
+      .mockResolvedValueOnce(mockResponse(200, '{}'));
+
+    await client.getInfo();
+
+    expect(refreshToken).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer token-2');
+  });
+
+  test('should throw AuthError when the retry is rejected too', async () => {
+    fetch.mockResolvedValue(mockResponse(401, 'expired'));
+
+    await expect(client.getInfo()).rejects.toBeInstanceOf(AuthError);
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('should throw AuthError without retrying when the refresh fails', async () => {
+    refreshToken.mockResolvedValue(null);
+    fetch.mockResolvedValue(mockResponse(401, 'expired'));
+
+    await expect(client.getInfo()).rejects.toBeInstanceOf(AuthError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([
+    [429, RateLimitError],
+    [503, ServerError],
+    [403, AuthError]
+  ])('should map status %i to its error class', async (status, ErrorClass) => {
+    fetch.mockResolvedValue(mockResponse(status, 'nope', { 'Retry-After': '30' }));
+
+    const error = await client.getInfo().catch((e) => e);
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error.name).toBe(ErrorClass.name);
+    expect(error.status).toBe(status);
+    expect(error.headers['retry-after']).toBe('30');
+  });
+
+  test('should read the wait from Retry-After on 429', async () => {
+    fetch.mockResolvedValue(mockResponse(429, 'slow down', { 'Retry-After': '30', 'X-RateLimit-Remaining': '0' }));
+
+    const error = await client.getInfo().catch((e) => e);
+
+    expect(error.retryAfter).toBe(30 * 1000);
+    expect(rateLimiter.record).toHaveBeenCalledWith(429, { 'retry-after': '30', 'x-ratelimit-remaining': '0' });
+  });
+
+  test('should not send anything while rate limited', async () => {
+    rateLimiter.check.mockResolvedValue(12 * 1000);
+
+    const error = await client.getInfo().catch((e) => e);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfter).toBe(12 * 1000);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should throw ParseError on invalid JSON', async () => {
+    fetch.mockResolvedValue(mockResponse(200, '{invalid json'));
+
+    await expect(client.getInfo()).rejects.toBeInstanceOf(ParseError);
+  });
+
+  test('should throw NetworkError when fetch fails or times out', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await expect(client.getInfo()).rejects.toBeInstanceOf(NetworkError);
+
+    fetch.mockImplementationOnce((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    await expect(client.getInfo()).rejects.toThrow('Request timed out');
+  });
+
+  test('should rethrow the abort when the caller cancels', async () => {
+    const controller = new AbortController();
+    fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    const request = client.getInfo({ signal: controller.signal });
+    controller.abort();
+
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('isRetryable', () => {
+  test('should retry outages but not client errors', () => {
+    expect(isRetryable(new NetworkError('offline'))).toBe(true);
+    expect(isRetryable(new ServerError('down'))).toBe(true);
+    expect(isRetryable(new RateLimitError('slow down'))).toBe(true);
+    expect(isRetryable(new AuthError('expired'))).toBe(false);
+    expect(isRetryable(new ParseError('bad'))).toBe(false);
+  });
+});
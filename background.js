@@ -1,75 +1,214 @@
 // background.js
 import { initializeTokenManager } from './token-manager.js';
+import { searchRecipes } from './recipe-library.js';
+import {
+  startExtractionJob,
+  startLinkExtractionJob,
+  cancelExtractionJob,
+  getJob,
+  removeJobsForTab,
+  resumeInterruptedJobs,
+  onJobFinished,
+  SCOPE_TYPES
+} from './extraction-jobs.js';
+import { startElementPicker, savePickedSelector, forgetPickedSelector } from './element-picker.js';
+import { notifyJobFinished, handleJobNotificationClick } from './job-notifications.js';
+import { createContextMenus, handleContextMenuClick } from './context-menus.js';
+import { startBatch, cancelBatch, getBatch, resumeBatch } from './batch-extraction.js';
+import {
+  getQueue,
+  processQueue,
+  retryQueuedRequest,
+  cancelQueuedRequest,
+  handleQueueAlarm
+} from './request-queue.js';
+import { getRateLimitState } from './rate-limit.js';
+import { syncRecipeDetector } from './recipe-detector-setup.js';
+
+// Omnibox suggestion contents look like "recipe:<library id>"
+const OMNIBOX_RECIPE_PREFIX = 'recipe:';
+const OMNIBOX_MAX_SUGGESTIONS = 6;
+const RECIPE_BADGE_COLOR = '#4285F4';
 
 // Initialize token manager when extension loads
 initializeTokenManager().catch(error => {
   console.error('Failed to initialize token manager:', error);
 });
 
-// Handle API requests from popup
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.action === "makeApiCall") {
-    const { url, method, headers, body } = request;
+// Extraction jobs run here so they outlive the popup; it reattaches when reopened
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'start-extraction') {
+    startExtractionJob(message.tab, { force: message.force, scope: message.scope })
+      .then((job) => sendResponse({ job }))
+      .catch((error) => {
+        console.error('Failed to start extraction job:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
 
-    console.log("Making request to:", url);
-    console.log("Headers:", headers);
+  if (message.action === 'cancel-extraction') {
+    cancelExtractionJob(message.jobId)
+      .then((job) => sendResponse({ job }))
+      .catch((error) => {
+        console.error('Failed to cancel extraction job:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
 
-    // Don't log sensitive body data in production
-    if (process.env.NODE_ENV !== 'production') {
-      console.log("Body:", body);
-    }
+  // From link-access.js, once access to the linked site was granted
+  if (message.action === 'extract-link') {
+    startLinkExtractionJob(message.url)
+      .then((job) => sendResponse({ job }))
+      .catch((error) => {
+        console.error('Failed to start extraction job:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
 
-    // Create fetch options to match curl as closely as possible
-    const fetchOptions = {
-      method: method || "GET",
-      headers: headers || {},
-    };
+  if (message.action === 'get-extraction-job') {
+    getJob(message.jobId)
+      .then((job) => sendResponse({ job }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+});
 
-    // Only add body for non-GET requests
-    if (method !== "GET" && body) {
-      fetchOptions.body = JSON.stringify(body);
+// The element picker: the popup starts it and closes, the page reports the pick
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'start-element-picker') {
+    startElementPicker(message.tab.id)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('Failed to start element picker:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
+  }
+
+  if (message.action === 'element-picked') {
+    if (message.selector && sender.tab) {
+      const scope = { type: SCOPE_TYPES.SELECTOR, selector: message.selector };
+      savePickedSelector(sender.tab.url, message.selector)
+        .then(() => startExtractionJob(sender.tab, { force: true, scope }))
+        .catch((error) => {
+          console.error('Failed to extract the picked block:', error);
+        });
     }
+    return false;
+  }
 
-    fetch(url, fetchOptions)
-      .then((response) => {
-        console.log("Response status:", response.status);
-
-        // Check for auth errors
-        if (response.status === 401 || response.status === 403) {
-          // Notify that we may need to refresh token
-          chrome.runtime.sendMessage({
-            action: 'check-token'
-          }).catch(() => {});
-        }
-
-        return response.text().then((text) => ({
-          status: response.status,
-          statusText: response.statusText,
-          headers: [...response.headers.entries()].reduce(
-            (obj, [key, value]) => {
-              obj[key] = value;
-              return obj;
-            },
-            {},
-          ),
-          body: text,
-        }));
-      })
-      .then((data) => {
-        console.log("Sending response back to content script");
-        sendResponse({ success: true, data });
-      })
+  if (message.action === 'forget-picked-selector') {
+    forgetPickedSelector(message.url)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+});
+
+// Batch extraction over many tabs or links, started from the popup's Batch tab
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const batchActions = {
+    'start-batch': () => startBatch({ tabs: message.tabs, urls: message.urls }),
+    'cancel-batch': () => cancelBatch(),
+    'get-batch': () => getBatch()
+  };
+
+  if (batchActions[message.action]) {
+    batchActions[message.action]()
+      .then((batch) => sendResponse({ batch }))
       .catch((error) => {
-        console.error("Fetch error:", error);
-        sendResponse({ success: false, error: error.message });
+        console.error('Batch extraction action failed:', error);
+        sendResponse({ error: error.message });
       });
+    return true;
+  }
+});
+
+// Requests that couldn't reach the recipe API are retried from a persistent queue
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const queueActions = {
+    'get-request-queue': () => getQueue(),
+    'retry-queued-request': () => retryQueuedRequest(message.id).then(getQueue),
+    'cancel-queued-request': () => cancelQueuedRequest(message.id).then(getQueue)
+  };
 
-    return true; // Required to use sendResponse asynchronously
+  if (queueActions[message.action]) {
+    queueActions[message.action]()
+      .then((items) => sendResponse({ items }))
+      .catch((error) => {
+        console.error('Request queue action failed:', error);
+        sendResponse({ error: error.message });
+      });
+    return true;
   }
 });
 
+// The popup shows our API quota and any rate limit countdown
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'get-rate-limit') {
+    getRateLimitState()
+      .then((state) => sendResponse({ state }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  handleQueueAlarm(alarm).catch((error) => {
+    console.error('Failed to process request queue:', error);
+  });
+});
+
+// Don't wait for the next backoff step once we're back online
+self.addEventListener('online', () => {
+  processQueue({ all: true }).catch((error) => {
+    console.error('Failed to process request queue:', error);
+  });
+});
+
+// Tell the user when a job finishes while the popup is closed
+onJobFinished(notifyJobFinished);
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  handleJobNotificationClick(notificationId).catch((error) => {
+    console.error('Failed to handle notification click:', error);
+  });
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  handleJobNotificationClick(notificationId, buttonIndex).catch((error) => {
+    console.error('Failed to handle notification click:', error);
+  });
+});
+
+// Extract from the page, a selection or a link without opening the popup
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  handleContextMenuClick(info, tab);
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  removeJobsForTab(tabId).catch((error) => {
+    console.error('Failed to remove extraction jobs:', error);
+  });
+});
+
+resumeInterruptedJobs().catch((error) => {
+  console.error('Failed to resume extraction jobs:', error);
+});
+
+resumeBatch().catch((error) => {
+  console.error('Failed to resume batch extraction:', error);
+});
+
 // Listen for installation events
 chrome.runtime.onInstalled.addListener((details) => {
+  createContextMenus().catch((error) => {
+    console.error('Failed to create context menus:', error);
+  });
+
   if (details.reason === 'install') {
     // First installation
     console.log('Extension installed');
@@ -110,4 +249,100 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse({ success: true });
     return true;
   }
-});
\ No newline at end of file
+});
+
+// recipe-detector.js runs only on sites the user gave access to, so follow permission changes
+syncRecipeDetector();
+chrome.permissions.onAdded.addListener(() => syncRecipeDetector());
+chrome.permissions.onRemoved.addListener(() => syncRecipeDetector());
+
+// recipe-detector.js reports how many recipes each page has; show it on the toolbar icon
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.action === 'recipes-detected' && sender.tab) {
+    setRecipeBadge(sender.tab.id, message.count);
+  }
+});
+
+// A new page, or a new view of a single-page app, reports its own count; don't show the last one's meanwhile
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status === 'loading') {
+    setRecipeBadge(tabId, 0);
+  }
+});
+
+// Search saved recipes from the address bar: "rx lasagna"
+chrome.omnibox.setDefaultSuggestion({
+  description: 'Search saved recipes for <match>%s</match>'
+});
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  searchRecipes(text)
+    .then((records) => {
+      suggest(records.slice(0, OMNIBOX_MAX_SUGGESTIONS).map((record) => ({
+        content: `${OMNIBOX_RECIPE_PREFIX}${record.id}`,
+        description: `${escapeOmniboxText(record.title)} <dim>${escapeOmniboxText(hostname(record.url))}</dim>`
+      })));
+    })
+    .catch((error) => {
+      console.error('Omnibox search failed:', error);
+      suggest([]);
+    });
+});
+
+chrome.omnibox.onInputEntered.addListener(async (text, disposition) => {
+  let pagePath;
+  if (text.startsWith(OMNIBOX_RECIPE_PREFIX)) {
+    pagePath = `recipe.html?id=${encodeURIComponent(text.slice(OMNIBOX_RECIPE_PREFIX.length))}`;
+  } else {
+    // Enter without picking a suggestion: open the best match, or the search results
+    const [bestMatch] = await searchRecipes(text).catch(() => []);
+    pagePath = bestMatch
+      ? `recipe.html?id=${encodeURIComponent(bestMatch.id)}`
+      : `recipe.html?q=${encodeURIComponent(text)}`;
+  }
+
+  const url = chrome.runtime.getURL(pagePath);
+  if (disposition === 'currentTab') {
+    chrome.tabs.update({ url });
+  } else {
+    chrome.tabs.create({ url, active: disposition === 'newForegroundTab' });
+  }
+});
+
+/**
+ * Show a tab's recipe count on the toolbar badge. Without recipes the tab
+ * falls back to the global badge, which shows the sign-in state.
+ * @param {number} tabId - Tab id
+ * @param {number} count - Recipes found on the tab's page
+ */
+function setRecipeBadge(tabId, count) {
+  const updates = [chrome.action.setBadgeText({ tabId, text: count > 0 ? String(count) : null })];
+  if (count > 0) {
+    updates.push(chrome.action.setBadgeBackgroundColor({ tabId, color: RECIPE_BADGE_COLOR }));
+  }
+  Promise.all(updates).catch(() => {
+    // The tab was closed meanwhile
+  });
+}
+
+/**
+ * Escape text for omnibox suggestion descriptions, which are parsed as XML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeOmniboxText(text) {
+  return (text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function hostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
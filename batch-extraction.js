@@ -0,0 +1,377 @@
+// batch-extraction.js - Extract many tabs or links in one run and save the recipes to the library
+import {
+  startExtractionJob,
+  startLinkExtractionJob,
+  cancelExtractionJob,
+  getJob,
+  onJobUpdated,
+  JOB_STATUS,
+} from "./extraction-jobs.js";
+import { saveRecipe } from "./recipe-library.js";
+
+const BATCH_STORAGE_KEY = "batch_extraction";
+// Jobs running at once; the rest wait for a free slot
+export const BATCH_CONCURRENCY = 3;
+export const MAX_BATCH_SIZE = 50;
+
+export const BATCH_ITEM_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  // The recipe API was unreachable: the job waits in request-queue.js without holding a slot
+  QUEUED: "queued",
+  SAVED: "saved",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const SETTLED_STATUSES = [BATCH_ITEM_STATUS.SAVED, BATCH_ITEM_STATUS.FAILED, BATCH_ITEM_STATUS.CANCELLED];
+
+// The latest batch, loaded from storage once per service worker lifetime
+let batchPromise = null;
+// Storage writes are chained so an older snapshot never overwrites a newer one
+let pendingWrite = Promise.resolve();
+
+/**
+ * Pick the web page links out of pasted text, one per line or separated by spaces
+ * @param {string} text - Pasted text
+ * @returns {Array<string>} Unique http(s) URLs, in the order given
+ */
+export function parseUrlList(text) {
+  const urls = new Set();
+  text.split(/\s+/).forEach((word) => {
+    try {
+      const url = new URL(word);
+      if (url.protocol === "http:" || url.protocol === "https:") {
+        urls.add(url.href);
+      }
+    } catch (error) {
+      // Not a link
+    }
+  });
+  return [...urls];
+}
+
+/**
+ * Start a batch over open tabs, linked pages or both. Requests still waiting
+ * in the queue from the previous batch are carried over, so they are saved too.
+ * @param {Object} sources
+ * @param {Array<Object>} [sources.tabs] - Tabs to read ({ id, url, title })
+ * @param {Array<string>} [sources.urls] - Pages to fetch without opening them
+ * @returns {Promise<Object>} The batch
+ * @throws {Error} If a batch is still running, or there is nothing (or too much) to extract
+ */
+export async function startBatch({ tabs = [], urls = [] }) {
+  const previous = await loadBatch();
+  if (previous && !previous.finishedAt) {
+    throw new Error("A batch is already running");
+  }
+
+  const items = [
+    ...tabs.map((tab) => createItem(tab.url, tab.title, { id: tab.id, url: tab.url, title: tab.title })),
+    ...urls.map((url) => createItem(url, url, null)),
+  ];
+  if (items.length === 0) {
+    throw new Error("Nothing to extract");
+  }
+  if (items.length > MAX_BATCH_SIZE) {
+    throw new Error(`A batch can hold at most ${MAX_BATCH_SIZE} pages`);
+  }
+
+  const carried = previous
+    ? previous.items.filter((item) => item.status === BATCH_ITEM_STATUS.QUEUED)
+    : [];
+  const batch = {
+    id: generateId(),
+    items: [...carried, ...items],
+    createdAt: Date.now(),
+    finishedAt: null,
+  };
+  batchPromise = Promise.resolve(batch);
+  await persistBatch(batch);
+
+  await fillSlots(batch);
+  return batch;
+}
+
+/**
+ * Cancel the pages of the batch that haven't finished
+ * @returns {Promise<Object|null>} The batch, or null if there is none
+ */
+export async function cancelBatch() {
+  const batch = await loadBatch();
+  if (!batch) {
+    return null;
+  }
+
+  const unsettled = batch.items.filter((item) => !SETTLED_STATUSES.includes(item.status));
+  // Mark them first, so the job updates caused by cancelling are ignored
+  unsettled.forEach((item) => {
+    item.status = BATCH_ITEM_STATUS.CANCELLED;
+  });
+  await persistBatch(batch);
+
+  for (const item of unsettled) {
+    if (item.jobId) {
+      await cancelExtractionJob(item.jobId);
+    }
+  }
+  await finishIfDone(batch);
+  return batch;
+}
+
+/**
+ * Get the latest batch
+ * @returns {Promise<Object|null>} The batch, or null if none was run
+ */
+export async function getBatch() {
+  return loadBatch();
+}
+
+/**
+ * Pick the batch up again after the service worker was stopped: catch up on
+ * jobs that changed meanwhile and start the pages still waiting
+ * @returns {Promise<void>}
+ */
+export async function resumeBatch() {
+  const batch = await loadBatch();
+  if (!batch || batch.finishedAt) {
+    return;
+  }
+
+  for (const item of batch.items) {
+    if (item.status === BATCH_ITEM_STATUS.RUNNING && !item.jobId) {
+      item.status = BATCH_ITEM_STATUS.PENDING; // Stopped before its job started
+    } else if (item.jobId && !SETTLED_STATUSES.includes(item.status)) {
+      const job = await getJob(item.jobId);
+      if (job) {
+        await applyJobUpdate(batch, item, job);
+      } else {
+        settleItem(item, BATCH_ITEM_STATUS.FAILED, "Extraction was interrupted");
+      }
+    }
+  }
+  await persistBatch(batch);
+  await fillSlots(batch);
+}
+
+onJobUpdated((job) => {
+  handleJobUpdate(job).catch((error) => {
+    console.error("Failed to update batch extraction:", error);
+  });
+});
+
+/**
+ * Record a job change on the batch item it belongs to, if any
+ * @param {Object} job - The updated job
+ * @returns {Promise<void>}
+ */
+async function handleJobUpdate(job) {
+  const batch = await loadBatch();
+  const item = batch && batch.items.find((entry) => entry.jobId === job.id);
+  if (item) {
+    await applyJobUpdate(batch, item, job);
+  }
+}
+
+/**
+ * Start pages until BATCH_CONCURRENCY of them are running
+ * @param {Object} batch - The batch, modified in place
+ * @returns {Promise<void>}
+ */
+async function fillSlots(batch) {
+  const running = () => batch.items.filter((item) => item.status === BATCH_ITEM_STATUS.RUNNING).length;
+  let next;
+  while (running() < BATCH_CONCURRENCY &&
+    (next = batch.items.find((item) => item.status === BATCH_ITEM_STATUS.PENDING))) {
+    // Claimed before starting, so concurrent calls don't start it twice
+    next.status = BATCH_ITEM_STATUS.RUNNING;
+    await startItem(batch, next);
+  }
+  await finishIfDone(batch);
+}
+
+/**
+ * Start the extraction job for a page. A tab whose recipe was already
+ * extracted reattaches to that job, as the popup does.
+ * @param {Object} batch - The batch, modified in place
+ * @param {Object} item - The page to start
+ * @returns {Promise<void>}
+ */
+async function startItem(batch, item) {
+  try {
+    const job = item.tab
+      ? await startExtractionJob(item.tab, { batchId: batch.id })
+      : await startLinkExtractionJob(item.url, { batchId: batch.id });
+    item.jobId = job.id;
+    await persistBatch(batch);
+
+    // The job may have moved on before its id was recorded here
+    await applyJobUpdate(batch, item, (await getJob(job.id)) || job);
+  } catch (error) {
+    settleItem(item, BATCH_ITEM_STATUS.FAILED, error.message);
+    await persistBatch(batch);
+  }
+}
+
+/**
+ * Mirror a job's progress on its batch item, and save the recipe once it's done
+ * @param {Object} batch - The batch, modified in place
+ * @param {Object} item - The job's item
+ * @param {Object} job - The job
+ * @returns {Promise<void>}
+ */
+async function applyJobUpdate(batch, item, job) {
+  if (SETTLED_STATUSES.includes(item.status)) {
+    return;
+  }
+
+  if (job.status === JOB_STATUS.DONE) {
+    // Settled before saving, so a second update for the job doesn't save it twice
+    settleItem(item, BATCH_ITEM_STATUS.SAVED, null);
+    item.title = job.result.title || job.title;
+    try {
+      const record = await saveRecipe({
+        recipe: job.result,
+        url: job.url,
+        tabTitle: job.title,
+        extractedAt: job.finishedAt,
+      });
+      item.libraryId = record.id;
+    } catch (error) {
+      item.status = BATCH_ITEM_STATUS.FAILED;
+      item.error = `Could not save the recipe: ${error.message}`;
+    }
+  } else if (job.status === JOB_STATUS.ERROR) {
+    settleItem(item, BATCH_ITEM_STATUS.FAILED, job.error);
+  } else if (job.status === JOB_STATUS.CANCELLED) {
+    settleItem(item, BATCH_ITEM_STATUS.CANCELLED, null);
+  } else if (job.status === JOB_STATUS.QUEUED) {
+    item.status = BATCH_ITEM_STATUS.QUEUED;
+    item.step = job.status;
+  } else {
+    item.step = job.status;
+    item.title = job.title;
+    await persistBatch(batch);
+    return; // Still holding its slot
+  }
+
+  await persistBatch(batch);
+  await fillSlots(batch);
+}
+
+/**
+ * Mark the batch finished once no page is waiting or running, and say how it went
+ * @param {Object} batch - The batch, modified in place
+ * @returns {Promise<void>}
+ */
+async function finishIfDone(batch) {
+  const busy = batch.items.some((item) =>
+    item.status === BATCH_ITEM_STATUS.PENDING || item.status === BATCH_ITEM_STATUS.RUNNING);
+  if (busy || batch.finishedAt) {
+    return;
+  }
+
+  batch.finishedAt = Date.now();
+  await persistBatch(batch);
+  await notifyBatchFinished(batch);
+}
+
+/**
+ * Announce a finished batch, unless the popup is open to show it
+ * @param {Object} batch - The finished batch
+ * @returns {Promise<void>}
+ */
+async function notifyBatchFinished(batch) {
+  try {
+    const popups = await chrome.runtime.getContexts({ contextTypes: ["POPUP"] });
+    if (popups.length > 0) {
+      return;
+    }
+
+    await chrome.notifications.create(`batch:${batch.id}`, {
+      type: "basic",
+      iconUrl: "icon.png",
+      title: "Batch extraction finished",
+      message: describeBatch(batch),
+    });
+  } catch (error) {
+    console.error("Failed to show batch notification:", error);
+  }
+}
+
+/**
+ * Summarize a batch, e.g. "8 of 10 recipes saved · 2 failed"
+ * @param {Object} batch - The batch
+ * @returns {string} Summary
+ */
+export function describeBatch(batch) {
+  const count = (status) => batch.items.filter((item) => item.status === status).length;
+  const parts = [`${count(BATCH_ITEM_STATUS.SAVED)} of ${batch.items.length} recipes saved`];
+  [
+    [BATCH_ITEM_STATUS.QUEUED, "waiting for the recipe API"],
+    [BATCH_ITEM_STATUS.FAILED, "failed"],
+    [BATCH_ITEM_STATUS.CANCELLED, "cancelled"],
+  ].forEach(([status, label]) => {
+    if (count(status) > 0) {
+      parts.push(`${count(status)} ${label}`);
+    }
+  });
+  return parts.join(" · ");
+}
+
+function createItem(url, title, tab) {
+  return {
+    url,
+    title,
+    // Set for open tabs; linked pages are fetched instead
+    tab,
+    status: BATCH_ITEM_STATUS.PENDING,
+    // The job's status while it runs (see JOB_STATUS)
+    step: null,
+    jobId: null,
+    libraryId: null,
+    error: null,
+  };
+}
+
+function settleItem(item, status, error) {
+  item.status = status;
+  item.step = null;
+  item.error = error;
+}
+
+function loadBatch() {
+  if (!batchPromise) {
+    batchPromise = chrome.storage.local
+      .get(BATCH_STORAGE_KEY)
+      .then((stored) => stored[BATCH_STORAGE_KEY] || null)
+      .catch((error) => {
+        batchPromise = null;
+        throw error;
+      });
+  }
+  return batchPromise;
+}
+
+/**
+ * Save the batch and tell any open popup
+ * @param {Object} batch - The batch
+ * @returns {Promise<void>}
+ */
+function persistBatch(batch) {
+  const snapshot = JSON.parse(JSON.stringify(batch));
+  pendingWrite = pendingWrite
+    .then(() => chrome.storage.local.set({ [BATCH_STORAGE_KEY]: snapshot }))
+    .catch((error) => {
+      console.error("Failed to save batch extraction:", error);
+    });
+
+  chrome.runtime.sendMessage({ action: "batch-changed", batch: snapshot }).catch(() => {
+    // It's normal for this to fail if the popup is closed
+  });
+  return pendingWrite;
+}
+
+function generateId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
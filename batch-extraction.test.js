@@ -0,0 +1,204 @@
+import { fetchUnderCsp } from './test-csp.js';
+
+jest.mock('./extraction-jobs.js', () => ({
+  startExtractionJob: jest.fn(),
+  startLinkExtractionJob: jest.fn(),
+  cancelExtractionJob: jest.fn(),
+  getJob: jest.fn(),
+  onJobUpdated: jest.fn(),
+  JOB_STATUS: {
+    READING: 'reading',
+    EXTRACTING: 'extracting',
+    QUEUED: 'queued',
+    DONE: 'done',
+    ERROR: 'error',
+    CANCELLED: 'cancelled'
+  }
+}));
+jest.mock('./recipe-library.js', () => ({ saveRecipe: jest.fn() }));
+
+// Minimal chrome API: storage.local backed by an object
+let stored;
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) => ({ [key]: stored[key] })),
+      set: jest.fn(async (items) => Object.assign(stored, items))
+    }
+  },
+  runtime: {
+    sendMessage: jest.fn().mockResolvedValue(undefined),
+    getContexts: jest.fn().mockResolvedValue([])
+  },
+  notifications: {
+    create: jest.fn().mockResolvedValue('id')
+  }
+};
+
+const urls = [1, 2, 3, 4, 5].map((n) => `https://example.com/recipe-${n}`);
+
+// All re-imported per test, so every test starts with no batch loaded
+let batches;
+let jobs;
+let saveRecipe;
+// The batch module's onJobUpdated listener
+let updateJob;
+// Jobs started so far, by id
+let startedJobs;
+
+const finishJob = async (id, changes) => {
+  updateJob({ ...startedJobs[id], finishedAt: Date.now(), ...changes });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+};
+
+beforeEach(async () => {
+  jest.resetModules();
+  jest.clearAllMocks();
+  stored = {};
+  startedJobs = {};
+  console.error = jest.fn();
+
+  jobs = await import('./extraction-jobs.js');
+  ({ saveRecipe } = await import('./recipe-library.js'));
+  let nextId = 1;
+  jobs.startLinkExtractionJob.mockImplementation(async (url, { batchId }) => {
+    const job = { id: `job-${nextId++}`, url, title: url, batchId, status: 'reading' };
+    startedJobs[job.id] = job;
+    return job;
+  });
+  jobs.getJob.mockImplementation(async (id) => startedJobs[id] || null);
+  saveRecipe.mockImplementation(async ({ recipe }) => ({ id: `saved-${recipe.title}` }));
+  batches = await import('./batch-extraction.js');
+  [[updateJob]] = jobs.onJobUpdated.mock.calls;
+});
+
+describe('parseUrlList', () => {
+  test('should keep unique web page links in order', () => {
+    const text = 'https://a.com/soup\n  not a link  https://b.com/stew\nftp://c.com/x https://a.com/soup';
+
+    expect(batches.parseUrlList(text)).toEqual(['https://a.com/soup', 'https://b.com/stew']);
+  });
+});
+
+describe('startBatch', () => {
+  test('should run at most BATCH_CONCURRENCY pages at once', async () => {
+    const batch = await batches.startBatch({ urls });
+
+    expect(jobs.startLinkExtractionJob).toHaveBeenCalledTimes(batches.BATCH_CONCURRENCY);
+    expect(batch.items.map((item) => item.status)).toEqual(['running', 'running', 'running', 'pending', 'pending']);
+
+    await finishJob('job-1', { status: 'done', result: { title: 'Soup' } });
+
+    expect(saveRecipe).toHaveBeenCalledWith(expect.objectContaining({
+      recipe: { title: 'Soup' },
+      url: urls[0]
+    }));
+    expect(jobs.startLinkExtractionJob).toHaveBeenCalledTimes(4);
+    const saved = stored.batch_extraction.items[0];
+    expect(saved).toEqual(expect.objectContaining({ status: 'saved', title: 'Soup', libraryId: 'saved-Soup' }));
+  });
+
+  test('should read open tabs in place', async () => {
+    const tab = { id: 7, url: 'https://example.com/soup', title: 'Soup' };
+    jobs.startExtractionJob.mockResolvedValue({ id: 'tab-job', status: 'reading' });
+
+    await batches.startBatch({ tabs: [tab] });
+
+    expect(jobs.startExtractionJob).toHaveBeenCalledWith(tab, { batchId: expect.any(String) });
+  });
+
+  test('should free the slot of a page waiting for the recipe API', async () => {
+    await batches.startBatch({ urls });
+
+    await finishJob('job-2', { status: 'queued' });
+
+    expect(stored.batch_extraction.items[1].status).toBe('queued');
+    expect(jobs.startLinkExtractionJob).toHaveBeenCalledTimes(4);
+  });
+
+  test('should announce the outcome once every page is done', async () => {
+    await batches.startBatch({ urls: urls.slice(0, 2) });
+
+    await finishJob('job-1', { status: 'done', result: { title: 'Soup' } });
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+    await finishJob('job-2', { status: 'error', error: 'No recipe found' });
+
+    expect(stored.batch_extraction.items[1]).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: 'No recipe found'
+    }));
+    expect(stored.batch_extraction.finishedAt).toEqual(expect.any(Number));
+    expect(chrome.notifications.create).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+      message: '1 of 2 recipes saved · 1 failed'
+    }));
+  });
+
+  test('should refuse a second batch while one is running', async () => {
+    await batches.startBatch({ urls });
+
+    await expect(batches.startBatch({ urls })).rejects.toThrow('A batch is already running');
+  });
+});
+
+describe('cancelBatch', () => {
+  test('should cancel running jobs and pages not started yet', async () => {
+    await batches.startBatch({ urls });
+
+    const batch = await batches.cancelBatch();
+
+    expect(jobs.cancelExtractionJob).toHaveBeenCalledTimes(3);
+    expect(batch.items.every((item) => item.status === 'cancelled')).toBe(true);
+    expect(batch.finishedAt).toEqual(expect.any(Number));
+    expect(jobs.startLinkExtractionJob).toHaveBeenCalledTimes(3);
+  });
+});
+
+// Last in the file: it swaps the mocked extraction jobs for the real ones
+describe('pasted links', () => {
+  beforeEach(async () => {
+    jest.resetModules();
+    jest.dontMock('./extraction-jobs.js');
+    // Only what runs outside the service worker is stood in for: the recipe API and
+    // the offscreen document, which reads the page with the real readFetchedPage
+    jest.doMock('./extension-functions.js', () => ({
+      processContent: jest.fn(async (tab) => ({ title: `Recipe from ${tab.url}` }))
+    }));
+    jest.doMock('./offscreen-client.js', () => {
+      const { readFetchedPage } = jest.requireActual('./page-content.js');
+      return {
+        runOffscreenTask: jest.fn(async (action, { html, url }) => ({ pageContent: readFetchedPage(html, url) }))
+      };
+    });
+    jest.doMock('./google-auth.js', () => ({ getAuthToken: jest.fn() }));
+    jest.doMock('./token-storage.js', () => ({ refreshAccessToken: jest.fn() }));
+
+    console.log = jest.fn();
+    chrome.permissions = { contains: jest.fn().mockResolvedValue(true) };
+    // Refuses what the manifest's CSP refuses, since the service worker is held to it
+    global.fetch = fetchUnderCsp(async (url) => ({
+      ok: true,
+      status: 200,
+      url,
+      headers: { get: () => 'text/html; charset=utf-8' },
+      text: async () => '<html><head><title>Stew</title></head><body><h1>Beef stew</h1></body></html>'
+    }));
+
+    ({ saveRecipe } = await import('./recipe-library.js'));
+    saveRecipe.mockImplementation(async ({ url }) => ({ id: `saved-${url}` }));
+    batches = await import('./batch-extraction.js');
+  });
+
+  test('should fetch and save every page of a URL list', async () => {
+    const links = ['https://recipes.example.org/stew', 'http://old-blog.example.net/soup'];
+
+    await batches.startBatch({ urls: links });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual(links);
+    expect(stored.batch_extraction.items.map((item) => [item.status, item.error])).toEqual([
+      ['saved', null],
+      ['saved', null]
+    ]);
+    expect(stored.batch_extraction.finishedAt).toEqual(expect.any(Number));
+  });
+});
@@ -0,0 +1,173 @@
+// batch-view.js - Start a batch extraction over open tabs or pasted links, and follow its progress
+import { parseUrlList, describeBatch, BATCH_ITEM_STATUS } from "./batch-extraction.js";
+import { JOB_STATUS } from "./extraction-jobs.js";
+
+// Reading every tab means reading whatever sites they are on
+const ALL_WEB_PAGES = ["http://*/*", "https://*/*"];
+
+const ITEM_STATUS_LABELS = {
+  [BATCH_ITEM_STATUS.PENDING]: "Waiting",
+  [BATCH_ITEM_STATUS.QUEUED]: "Recipe API unreachable · will be saved once it's back",
+  [BATCH_ITEM_STATUS.SAVED]: "Saved to library",
+  [BATCH_ITEM_STATUS.CANCELLED]: "Cancelled",
+};
+const STEP_LABELS = {
+  [JOB_STATUS.READING]: "Reading page...",
+  [JOB_STATUS.EXTRACTING]: "Extracting recipe...",
+};
+
+let urlsInput;
+let summaryElement;
+let cancelButton;
+let listElement;
+let tabsButton;
+let urlsButton;
+
+/**
+ * Look up the batch view elements and follow batch changes from the background
+ */
+export function initBatchView() {
+  urlsInput = document.getElementById("batch-urls");
+  summaryElement = document.getElementById("batch-summary");
+  cancelButton = document.getElementById("batch-cancel-button");
+  listElement = document.getElementById("batch-list");
+  tabsButton = document.getElementById("batch-tabs-button");
+  urlsButton = document.getElementById("batch-urls-button");
+
+  tabsButton.addEventListener("click", handleExtractTabs);
+  urlsButton.addEventListener("click", handleExtractUrls);
+  cancelButton.addEventListener("click", () => {
+    sendBatchAction({ action: "cancel-batch" });
+  });
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === "batch-changed") {
+      renderBatch(message.batch);
+    }
+  });
+}
+
+/**
+ * Load and show the latest batch
+ * @returns {Promise<void>}
+ */
+export async function showBatch() {
+  await sendBatchAction({ action: "get-batch" });
+}
+
+/**
+ * Extract every web page open in this window
+ */
+async function handleExtractTabs() {
+  // Asked first, while the click still counts as a user gesture
+  const granted = await chrome.permissions.request({ origins: ALL_WEB_PAGES });
+  if (!granted) {
+    summaryElement.textContent = "Reading your other tabs needs access to the sites they're on.";
+    return;
+  }
+
+  const windowTabs = await chrome.tabs.query({ currentWindow: true });
+  const tabs = windowTabs
+    .filter((tab) => /^https?:/.test(tab.url || ""))
+    .map((tab) => ({ id: tab.id, url: tab.url, title: tab.title }));
+  await sendBatchAction({ action: "start-batch", tabs });
+}
+
+/**
+ * Extract the pasted links, fetched without opening them
+ */
+async function handleExtractUrls() {
+  const urls = parseUrlList(urlsInput.value);
+  if (urls.length === 0) {
+    summaryElement.textContent = "Paste one or more web page links first.";
+    return;
+  }
+
+  const origins = [...new Set(urls.map((url) => `${new URL(url).origin}/*`))];
+  const granted = await chrome.permissions.request({ origins });
+  if (!granted) {
+    summaryElement.textContent = "Fetching these links needs access to their sites.";
+    return;
+  }
+
+  await sendBatchAction({ action: "start-batch", urls });
+  urlsInput.value = "";
+}
+
+/**
+ * Send a batch message to the background and render the batch it returns
+ * @param {Object} message - start-batch, cancel-batch or get-batch
+ * @returns {Promise<void>}
+ */
+async function sendBatchAction(message) {
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    renderBatch(response.batch);
+  } catch (error) {
+    console.error("Batch extraction action failed:", error);
+    summaryElement.textContent = error.message;
+  }
+}
+
+/**
+ * Render the batch summary and one row per page
+ * @param {Object|null} batch - The latest batch, from batch-extraction.js
+ */
+function renderBatch(batch) {
+  listElement.innerHTML = "";
+  const running = Boolean(batch && !batch.finishedAt);
+  cancelButton.style.display = running ? "inline" : "none";
+  tabsButton.disabled = running;
+  urlsButton.disabled = running;
+
+  if (!batch) {
+    summaryElement.textContent = "";
+    const empty = document.createElement("p");
+    empty.className = "library-empty";
+    empty.textContent = "Extract every recipe tab in this window, or a list of links, into your library in one go.";
+    listElement.appendChild(empty);
+    return;
+  }
+
+  summaryElement.textContent = running ? `Extracting · ${describeBatch(batch)}` : describeBatch(batch);
+
+  batch.items.forEach((item) => {
+    const failed = item.status === BATCH_ITEM_STATUS.FAILED;
+    const row = document.createElement("div");
+    row.className = failed ? "library-item batch-item failed" : "library-item batch-item";
+
+    const info = document.createElement("div");
+    info.className = "library-item-info";
+    const title = document.createElement("strong");
+    title.textContent = item.title || item.url;
+    title.title = item.url;
+    const meta = document.createElement("small");
+    meta.textContent = describeItem(item);
+    info.appendChild(title);
+    info.appendChild(meta);
+    row.appendChild(info);
+
+    if (item.libraryId) {
+      const openButton = document.createElement("button");
+      openButton.textContent = "Open";
+      openButton.addEventListener("click", () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL(`recipe.html?id=${encodeURIComponent(item.libraryId)}`) });
+      });
+      row.appendChild(openButton);
+    }
+    listElement.appendChild(row);
+  });
+}
+
+function describeItem(item) {
+  if (item.status === BATCH_ITEM_STATUS.FAILED) {
+    return `Failed: ${item.error}`;
+  }
+  if (item.status === BATCH_ITEM_STATUS.RUNNING) {
+    return STEP_LABELS[item.step] || "Starting...";
+  }
+  return ITEM_STATUS_LABELS[item.status] || item.status;
+}
@@ -0,0 +1,109 @@
+// context-menus.js - Right-click entry points for extracting a recipe without opening the popup
+import {
+  startExtractionJob,
+  startLinkExtractionJob,
+  JOB_STATUS,
+  SCOPE_TYPES,
+} from "./extraction-jobs.js";
+import { notifyJobFinished } from "./job-notifications.js";
+
+export const MENU_IDS = {
+  PAGE: "extract-recipe-page",
+  SELECTION: "extract-recipe-selection",
+  LINK: "extract-recipe-link",
+};
+
+const WEB_PAGE_PATTERNS = ["http://*/*", "https://*/*"];
+const LINK_ACCESS_WINDOW_SIZE = { width: 420, height: 200 };
+
+/**
+ * Create the context menu entries. Menus persist across service worker
+ * restarts, so call this once when the extension is installed or updated.
+ * @returns {Promise<void>}
+ */
+export async function createContextMenus() {
+  await chrome.contextMenus.removeAll();
+  chrome.contextMenus.create({
+    id: MENU_IDS.PAGE,
+    title: "Extract recipe from this page",
+    contexts: ["page"],
+    documentUrlPatterns: WEB_PAGE_PATTERNS,
+  });
+  chrome.contextMenus.create({
+    id: MENU_IDS.SELECTION,
+    title: "Extract recipe from selection",
+    contexts: ["selection"],
+    documentUrlPatterns: WEB_PAGE_PATTERNS,
+  });
+  chrome.contextMenus.create({
+    id: MENU_IDS.LINK,
+    title: "Extract recipe from linked page",
+    contexts: ["link"],
+    targetUrlPatterns: WEB_PAGE_PATTERNS,
+  });
+}
+
+/**
+ * Start the extraction a menu entry asks for. The result is announced with a
+ * notification (see job-notifications.js), from which it can be opened or saved.
+ * @param {Object} info - chrome.contextMenus.OnClickData
+ * @param {Object} [tab] - The tab the menu was opened in
+ * @returns {Promise<void>}
+ */
+export async function handleContextMenuClick(info, tab) {
+  try {
+    if (info.menuItemId === MENU_IDS.LINK) {
+      await extractLinkedPage(info.linkUrl);
+    } else if (info.menuItemId === MENU_IDS.SELECTION) {
+      await startExtractionJob(tab, { force: true, scope: { type: SCOPE_TYPES.SELECTION } });
+    } else if (info.menuItemId === MENU_IDS.PAGE) {
+      const job = await startExtractionJob(tab);
+      if (job.status === JOB_STATUS.DONE) {
+        // Reattached to a finished job, which won't finish again
+        await notifyJobFinished(job);
+      }
+    }
+  } catch (error) {
+    console.error("Context menu extraction failed:", error);
+    notifyMenuError(error.message);
+  }
+}
+
+/**
+ * Fetch and extract a linked page. Reading other sites needs their host
+ * permission, which is asked for on first use per site. The menu click counts
+ * as a user gesture for the prompt; where the browser doesn't let the service
+ * worker show it, a small window asks instead (see link-access.js).
+ * @param {string} url - The link's URL
+ * @returns {Promise<void>}
+ */
+async function extractLinkedPage(url) {
+  let granted;
+  try {
+    // Asked before anything else is awaited, while the click still counts
+    granted = await chrome.permissions.request({ origins: [`${new URL(url).origin}/*`] });
+  } catch (error) {
+    await chrome.windows.create({
+      url: chrome.runtime.getURL(`link-access.html?url=${encodeURIComponent(url)}`),
+      type: "popup",
+      width: LINK_ACCESS_WINDOW_SIZE.width,
+      height: LINK_ACCESS_WINDOW_SIZE.height,
+    });
+    return;
+  }
+
+  if (granted) {
+    await startLinkExtractionJob(url);
+  }
+}
+
+function notifyMenuError(message) {
+  chrome.notifications.create({
+    type: "basic",
+    iconUrl: "icon.png",
+    title: "Recipe extraction failed",
+    message,
+  }).catch((error) => {
+    console.error("Failed to show notification:", error);
+  });
+}
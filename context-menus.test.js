@@ -0,0 +1,82 @@
+import { handleContextMenuClick, MENU_IDS } from './context-menus.js';
+import { startExtractionJob, startLinkExtractionJob } from './extraction-jobs.js';
+import { notifyJobFinished } from './job-notifications.js';
+
+jest.mock('./extraction-jobs.js', () => ({
+  startExtractionJob: jest.fn(),
+  startLinkExtractionJob: jest.fn(),
+  JOB_STATUS: { READING: 'reading', DONE: 'done' },
+  SCOPE_TYPES: { SELECTION: 'selection' }
+}));
+jest.mock('./job-notifications.js', () => ({ notifyJobFinished: jest.fn() }));
+
+global.chrome = {
+  permissions: {
+    request: jest.fn()
+  },
+  windows: {
+    create: jest.fn().mockResolvedValue({ id: 3 })
+  },
+  runtime: {
+    getURL: (path) => `chrome-extension://test-id/${path}`
+  },
+  notifications: {
+    create: jest.fn().mockResolvedValue('id')
+  }
+};
+
+const tab = { id: 7, url: 'https://example.com/soup', title: 'Soup' };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  console.error = jest.fn();
+});
+
+describe('handleContextMenuClick', () => {
+  test('should extract the selected text', async () => {
+    startExtractionJob.mockResolvedValue({ status: 'reading' });
+
+    await handleContextMenuClick({ menuItemId: MENU_IDS.SELECTION }, tab);
+
+    expect(startExtractionJob).toHaveBeenCalledWith(tab, { force: true, scope: { type: 'selection' } });
+  });
+
+  test('should announce a page result that was already there', async () => {
+    const job = { status: 'done', result: { title: 'Soup' } };
+    startExtractionJob.mockResolvedValue(job);
+
+    await handleContextMenuClick({ menuItemId: MENU_IDS.PAGE }, tab);
+
+    expect(notifyJobFinished).toHaveBeenCalledWith(job);
+  });
+
+  test('should ask for access to the linked site before fetching it', async () => {
+    chrome.permissions.request.mockResolvedValue(true);
+
+    await handleContextMenuClick({ menuItemId: MENU_IDS.LINK, linkUrl: 'https://recipes.example.org/stew' }, tab);
+
+    expect(chrome.permissions.request).toHaveBeenCalledWith({ origins: ['https://recipes.example.org/*'] });
+    expect(startLinkExtractionJob).toHaveBeenCalledWith('https://recipes.example.org/stew');
+  });
+
+  test('should leave the link alone when access is refused', async () => {
+    chrome.permissions.request.mockResolvedValue(false);
+
+    await handleContextMenuClick({ menuItemId: MENU_IDS.LINK, linkUrl: 'https://recipes.example.org/stew' }, tab);
+
+    expect(startLinkExtractionJob).not.toHaveBeenCalled();
+    expect(chrome.notifications.create).not.toHaveBeenCalled();
+  });
+
+  test('should ask from a window when the prompt cannot be shown here', async () => {
+    chrome.permissions.request.mockRejectedValue(new Error('This function must be called during a user gesture'));
+
+    await handleContextMenuClick({ menuItemId: MENU_IDS.LINK, linkUrl: 'https://recipes.example.org/stew?serves=4' }, tab);
+
+    expect(startLinkExtractionJob).not.toHaveBeenCalled();
+    expect(chrome.windows.create).toHaveBeenCalledWith(expect.objectContaining({
+      url: 'chrome-extension://test-id/link-access.html?url=https%3A%2F%2Frecipes.example.org%2Fstew%3Fserves%3D4',
+      type: 'popup'
+    }));
+  });
+});
@@ -0,0 +1,192 @@
+// element-picker.js - Let the user pick the block that holds the recipe, and remember it per site
+
+const PICKED_SELECTORS_STORAGE_KEY = "picked_selectors";
+
+/**
+ * Highlight blocks under the mouse and report the one the user clicks as a
+ * CSS selector, in an "element-picked" message (selector null if cancelled).
+ * Arrow Up widens the highlight to the parent block; Escape cancels.
+ * Injected with chrome.scripting.executeScript, so it must stay self-contained.
+ */
+export function runElementPicker() {
+  if (window.__recipeElementPicker) {
+    return;
+  }
+  window.__recipeElementPicker = true;
+
+  const highlight = document.createElement("div");
+  Object.assign(highlight.style, {
+    position: "fixed",
+    zIndex: "2147483647",
+    pointerEvents: "none",
+    background: "rgba(66, 133, 244, 0.2)",
+    outline: "2px solid #4285F4",
+    display: "none",
+  });
+  const hint = document.createElement("div");
+  hint.textContent = "Click the recipe · ↑ select the parent block · Esc to cancel";
+  Object.assign(hint.style, {
+    position: "fixed",
+    zIndex: "2147483647",
+    top: "8px",
+    left: "50%",
+    transform: "translateX(-50%)",
+    pointerEvents: "none",
+    padding: "6px 12px",
+    borderRadius: "4px",
+    background: "#333",
+    color: "#fff",
+    font: "13px sans-serif",
+  });
+  document.documentElement.append(highlight, hint);
+
+  let current = null;
+
+  const show = (el) => {
+    current = el;
+    const rect = el.getBoundingClientRect();
+    Object.assign(highlight.style, {
+      display: "block",
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+    });
+  };
+
+  const onMove = (event) => {
+    const el = document.elementFromPoint(event.clientX, event.clientY);
+    if (el && el !== current && el !== document.documentElement && el !== document.body) {
+      show(el);
+    }
+  };
+
+  // Swallow the page's own click handling while picking
+  const onClick = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    if (current) {
+      finish(selectorFor(current));
+    }
+  };
+
+  const onKey = (event) => {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      finish(null);
+    } else if (event.key === "ArrowUp" && current && current.parentElement !== document.body) {
+      event.preventDefault();
+      show(current.parentElement);
+    }
+  };
+
+  window.addEventListener("mousemove", onMove, true);
+  window.addEventListener("click", onClick, true);
+  window.addEventListener("keydown", onKey, true);
+
+  function finish(selector) {
+    window.removeEventListener("mousemove", onMove, true);
+    window.removeEventListener("click", onClick, true);
+    window.removeEventListener("keydown", onKey, true);
+    highlight.remove();
+    hint.remove();
+    window.__recipeElementPicker = false;
+    chrome.runtime.sendMessage({ action: "element-picked", selector });
+  }
+
+  // Prefer ids and class names, which are more likely than positions to
+  // match the same block on the site's other recipe pages
+  function selectorFor(el) {
+    const parts = [];
+    for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+      // Generated ids ("post-12345") won't be there next time
+      if (node.id && !/\d{3,}/.test(node.id)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+
+      const classes = Array.from(node.classList)
+        .filter((name) => !/\d{3,}|active|hover|selected|open/i.test(name))
+        .slice(0, 2);
+      parts.unshift(node.tagName.toLowerCase() + classes.map((name) => `.${CSS.escape(name)}`).join(""));
+      if (document.querySelectorAll(parts.join(" > ")).length === 1) {
+        break;
+      }
+    }
+
+    const selector = parts.join(" > ");
+    return document.querySelector(selector) === el ? selector : positionalSelector(el);
+  }
+
+  function positionalSelector(el) {
+    const parts = [];
+    for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+      let index = 1;
+      for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+        if (sibling.tagName === node.tagName) {
+          index++;
+        }
+      }
+      parts.unshift(`${node.tagName.toLowerCase()}:nth-of-type(${index})`);
+    }
+    return parts.join(" > ");
+  }
+}
+
+/**
+ * Start the picker in a tab
+ * @param {number} tabId - Tab id
+ * @returns {Promise<void>}
+ */
+export async function startElementPicker(tabId) {
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    func: runElementPicker,
+  });
+}
+
+/**
+ * Get the selector the user picked on a site
+ * @param {string} url - Any page URL on the site
+ * @returns {Promise<string|null>} The selector, or null if none was picked
+ */
+export async function getPickedSelector(url) {
+  const selectors = await loadSelectors();
+  return selectors[siteOf(url)] || null;
+}
+
+/**
+ * Remember the picked selector for a page's site
+ * @param {string} url - Page URL
+ * @param {string} selector - CSS selector of the recipe block
+ * @returns {Promise<void>}
+ */
+export async function savePickedSelector(url, selector) {
+  const selectors = await loadSelectors();
+  selectors[siteOf(url)] = selector;
+  await chrome.storage.local.set({ [PICKED_SELECTORS_STORAGE_KEY]: selectors });
+}
+
+/**
+ * Forget the picked selector for a page's site
+ * @param {string} url - Page URL
+ * @returns {Promise<void>}
+ */
+export async function forgetPickedSelector(url) {
+  const selectors = await loadSelectors();
+  delete selectors[siteOf(url)];
+  await chrome.storage.local.set({ [PICKED_SELECTORS_STORAGE_KEY]: selectors });
+}
+
+function siteOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch (error) {
+    return url;
+  }
+}
+
+async function loadSelectors() {
+  const stored = await chrome.storage.local.get(PICKED_SELECTORS_STORAGE_KEY);
+  return stored[PICKED_SELECTORS_STORAGE_KEY] || {};
+}
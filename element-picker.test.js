@@ -0,0 +1,86 @@
+import {
+  runElementPicker,
+  getPickedSelector,
+  savePickedSelector,
+  forgetPickedSelector
+} from './element-picker.js';
+
+// Minimal chrome API: storage.local backed by an object
+let stored;
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) => ({ [key]: stored[key] })),
+      set: jest.fn(async (items) => Object.assign(stored, items))
+    }
+  },
+  runtime: {
+    sendMessage: jest.fn()
+  }
+};
+
+// jsdom has neither CSS.escape nor layout
+global.CSS = { escape: (value) => value };
+document.elementFromPoint = jest.fn();
+
+beforeEach(() => {
+  stored = {};
+  jest.clearAllMocks();
+});
+
+describe('picked selectors', () => {
+  test('should be remembered per site', async () => {
+    await savePickedSelector('https://www.example.com/soup', '#recipe');
+
+    expect(await getPickedSelector('https://example.com/stew')).toBe('#recipe');
+    expect(await getPickedSelector('https://other.com/soup')).toBeNull();
+
+    await forgetPickedSelector('https://example.com/soup');
+    expect(await getPickedSelector('https://example.com/stew')).toBeNull();
+  });
+});
+
+describe('runElementPicker', () => {
+  // Move to an element, then click it
+  const pick = (el) => {
+    document.elementFromPoint.mockReturnValue(el);
+    window.dispatchEvent(new MouseEvent('mousemove', { clientX: 1, clientY: 1 }));
+    window.dispatchEvent(new MouseEvent('click', { cancelable: true }));
+    return chrome.runtime.sendMessage.mock.calls[0][0];
+  };
+
+  test('should report a selector built from ids and class names', () => {
+    document.body.innerHTML = `
+      <main id="content">
+        <div class="card recipe"><p>Soup</p></div>
+        <div class="card"><p>Stew</p></div>
+      </main>
+    `;
+    runElementPicker();
+
+    const message = pick(document.querySelector('.recipe'));
+
+    expect(message).toEqual({ action: 'element-picked', selector: 'div.card.recipe' });
+    // The highlight is gone once the pick is made
+    expect(document.documentElement.lastElementChild).toBe(document.body);
+  });
+
+  test('should fall back to positions when names are ambiguous', () => {
+    document.body.innerHTML = '<section><div class="card">A</div><div class="card">B</div></section>';
+    runElementPicker();
+    const second = document.querySelectorAll('.card')[1];
+
+    const message = pick(second);
+
+    expect(document.querySelector(message.selector)).toBe(second);
+  });
+
+  test('should report nothing picked on Escape', () => {
+    document.body.innerHTML = '<p>Soup</p>';
+    runElementPicker();
+
+    window.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'element-picked', selector: null });
+  });
+});
@@ -1,125 +1,241 @@
 // extension-functions.js
-import { getAuthToken } from "./google-auth.js";
-
-export function extractPageContent() {
+import { apiClient, NetworkError, throwIfAborted } from "./api-client.js";
+import { runOffscreenTask } from "./offscreen-client.js";
+import { getStructuredRecipes } from "./structured-data.js";
+import { normalizeRecipe } from "./recipe-normalizer.js";
+import { extractRecipeHeuristically } from "./heuristic-extractor.js";
+import { renderRecipeCard, renderServingsControl } from "./recipe-card.js";
+import { parseRecipeIngredients } from "./ingredient-parser.js";
+import { scaleRecipe } from "./recipe-scaler.js";
+import { convertRecipe, UNIT_SYSTEMS } from "./unit-conversion.js";
+
+// Human-readable names for the recipe.source values
+const SOURCE_LABELS = {
+  "json-ld": "JSON-LD",
+  microdata: "Microdata",
+  rdfa: "RDFa",
+  api: "Recipe API",
+  heuristic: "Offline heuristic",
+};
+
+// Statuses on which a binary upload is retried as base64 JSON. Servers that only take
+// JSON answer 415, or 400 when they read the form as JSON; 413 comes from a multipart
+// size limit, which can be lower than the JSON body limit.
+const BINARY_UPLOAD_FALLBACK_STATUSES = [400, 413, 415];
+const PAYLOAD_TOO_LARGE_STATUS = 413;
+
+// Cleared once the API turns down a binary upload but takes the same page as JSON.
+// Kept for the service worker's lifetime, so an old server costs one extra request per start.
+let binaryUploadSupported = true;
+
+// The recipe currently on screen, including any scaling the user applied
+let currentRecipe = null;
+// Where the current recipe came from: url, tabTitle, extractedAt, cachedAt and library id
+let currentOrigin = {};
+// Units the recipe is displayed in; conversion is a view setting, not saved
+let unitSystem = UNIT_SYSTEMS.ORIGINAL;
+
+/**
+ * Turn extracted page content into a recipe ready for display. Runs in the
+ * service worker as part of an extraction job (see extraction-jobs.js).
+ * @param {Object} tab - The tab the content came from ({ id, url, title })
+ * @param {Object} pageContent - Result of extractPageContent
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels compression and the API request
+ * @returns {Promise<Object>} Normalized recipe with parsed ingredients
+ */
+export async function processContent(tab, pageContent, { signal } = {}) {
   try {
-    console.log("CEX: Processing html...");
-    const cloneDoc = document.cloneNode(true).documentElement;
-
-    // Remove non-content elements
-    const nonContentElements = cloneDoc.querySelectorAll(
-      "script, style, link, meta, noscript",
-    );
-    nonContentElements.forEach((el) => el.remove());
-
-    // Remove all inline styles and attributes
-    cloneDoc.querySelectorAll("*").forEach((el) => {
-      el.removeAttribute("style");
-      el.removeAttribute("class");
-      el.removeAttribute("id");
-    });
-
-    // Special handling for images
-    cloneDoc.querySelectorAll("img").forEach((img) => {
-      const altText = img.alt ? img.alt : "No alt text";
-      img.replaceWith(document.createTextNode(`[Image: ${altText}]`));
-    });
-
-    console.log("CEX: HTML is ready");
-    return cloneDoc.outerHTML;
+    const recipe = await extractRecipe(tab, pageContent, signal);
+    return parseRecipeIngredients(recipe);
   } catch (error) {
-    console.error("Error in content script:", error);
-    return null;
+    if (error.name !== "AbortError") {
+      console.error("API call error details:", error);
+    }
+    throw error;
   }
 }
 
-export async function processContent(tab, htmlContent) {
-  const extensionId = chrome.runtime.id;
-  const requestId = `${extensionId}-${Date.now()}`;
+/**
+ * Get a normalized recipe for the page: structured data first, then the
+ * recipe API, then the offline heuristic if the API can't be reached
+ * @param {Object} tab - The tab the content came from
+ * @param {Object} pageContent - Result of extractPageContent
+ * @param {AbortSignal} [signal] - Cancels the API request
+ * @returns {Promise<Object>} Normalized recipe
+ */
+async function extractRecipe(tab, pageContent, signal) {
+  // Pages with schema.org Recipe markup don't need the API at all
+  const [structuredRecipe] = getStructuredRecipes(pageContent);
+  if (structuredRecipe) {
+    return structuredRecipe;
+  }
 
   try {
-    // Get authentication token
-    const token = await getAuthToken();
-    console.log("Got auth token for API request");
-
-    // Compress the HTML content before sending
-    const compressedHtml = await compressHtml(htmlContent);
-
-    // Make the API request
-    const response = await new Promise((resolve) => {
-      chrome.runtime.sendMessage(
-        {
-          action: "makeApiCall",
-          url: "https://cookbook-577683305271.us-west1.run.app/recipe",
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "Authorization": `Bearer ${token}`,
-            "X-Extension-ID": extensionId,
-            "X-Request-ID": requestId,
-          },
-          body: {
-            url: tab.url,
-            html: compressedHtml,
-            title: tab.title,
-          },
-        },
-        resolve,
-      );
-    });
-
-    console.log("Recipe endpoint response:", response);
-
-    if (!response.success) {
-      if (response.error && response.error.includes("authentication")) {
-        throw new Error("Authentication error. Please sign in again.");
-      } else {
-        throw new Error(response.error || "Recipe request failed");
-      }
+    return normalizeRecipe(await requestRecipe(tab, pageContent.html, { signal }), "api");
+  } catch (error) {
+    if (!(error instanceof NetworkError)) {
+      throw error;
     }
 
-    const { data } = response;
-
-    if (data.status === 401 || data.status === 403) {
-      throw new Error("Authentication error. Please sign in again.");
+    // The API is unreachable (offline, backend down): guess locally instead
+    const fallbackRecipe = await extractRecipeOffline(pageContent.html);
+    if (fallbackRecipe) {
+      console.warn("Recipe API unreachable, using heuristic result:", error.message);
+      return fallbackRecipe;
     }
+    throw error;
+  }
+}
 
-    if (data.status !== 200) {
-      throw new Error(
-        `API request failed (${data.status}): ${data.body || "Unknown error"}`,
+/**
+ * Ask the recipe API to extract the recipe from cleaned page HTML. The HTML
+ * is uploaded as a gzipped binary file, or as gzipped base64 in a JSON body
+ * if the server doesn't accept binary uploads or this one is too large.
+ * @param {Object} tab - The tab the content came from ({ url, title })
+ * @param {string} html - Cleaned page HTML
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels compression and the request
+ * @returns {Promise<Object>} The API response as sent; see normalizeRecipe for display
+ * @throws {ApiError} A typed error from api-client.js
+ */
+export async function requestRecipe(tab, html, { signal } = {}) {
+  let jsonData;
+  let rejectedStatus = null;
+
+  if (binaryUploadSupported) {
+    const compressedBlob = await compressHtmlToBlob(html, { signal });
+    try {
+      jsonData = await apiClient.uploadRecipe(
+        { url: tab.url, title: tab.title, html: compressedBlob },
+        { signal },
       );
+    } catch (error) {
+      if (!BINARY_UPLOAD_FALLBACK_STATUSES.includes(error.status)) {
+        throw error;
+      }
+      console.warn(`Recipe API turned down the binary upload (${error.status}), falling back to JSON`);
+      rejectedStatus = error.status;
     }
+  }
 
-    // Parse JSON response
-    let jsonData;
-    try {
-      jsonData = JSON.parse(data.body);
-    } catch (e) {
-      console.error("Failed to parse JSON:", e);
-      throw new Error("Invalid response format");
+  if (jsonData === undefined) {
+    const compressedHtml = await compressHtml(html, { signal });
+    jsonData = await apiClient.extractRecipe(
+      {
+        url: tab.url,
+        title: tab.title,
+        html: compressedHtml,
+      },
+      { signal },
+    );
+    if (rejectedStatus !== null && rejectedStatus !== PAYLOAD_TOO_LARGE_STATUS) {
+      // JSON went through where the file didn't, so the server only takes JSON
+      binaryUploadSupported = false;
     }
+  }
+  console.log("Recipe endpoint response:", jsonData);
+  return jsonData;
+}
 
-    showResult(jsonData);
-  } catch (error) {
-    console.error("API call error details:", error);
-    showError(error.message);
+/**
+ * Run the heuristic extractor. Service workers have no DOMParser, so there
+ * it runs in the offscreen document instead.
+ * @param {string} html - Cleaned page HTML
+ * @returns {Promise<Object|null>} Normalized recipe, or null
+ */
+async function extractRecipeOffline(html) {
+  if (typeof DOMParser !== "undefined") {
+    return extractRecipeHeuristically(html);
   }
+  const { recipe } = await runOffscreenTask("extract-heuristic", { html });
+  return recipe;
 }
 
-export function showResult(data) {
+export function showResult(data, origin = {}) {
+  currentOrigin = origin;
+
   const statusElement = document.getElementById("status");
   const resultElement = document.getElementById("result");
   const errorElement = document.getElementById("error");
+  const sourceElement = document.getElementById("result-source");
+  const saveButton = document.getElementById("save-button");
+  const cacheNotice = document.getElementById("cache-notice");
 
   statusElement.style.display = "none";
   errorElement.style.display = "none";
   resultElement.style.display = "block";
+  saveButton.textContent = origin.id ? "Update saved" : "Save";
+  sourceElement.textContent = data.source
+    ? `Source: ${SOURCE_LABELS[data.source] || data.source}`
+    : "";
+  if (data.confidence === "low") {
+    sourceElement.textContent += " (low confidence, API unreachable)";
+  }
+  sourceElement.className =
+    data.confidence === "low" ? "result-source low-confidence" : "result-source";
+
+  // Results from result-cache.js skip the API, so say how old they are
+  cacheNotice.style.display = origin.cachedAt ? "flex" : "none";
+  if (origin.cachedAt) {
+    document.getElementById("cache-notice-text").textContent =
+      `Cached result from ${new Date(origin.cachedAt).toLocaleString()}`;
+  }
 
   const resultContent = document.getElementById("result-content");
+  renderResultContent(resultContent, data);
+}
+
+/**
+ * Get the result currently shown in the popup, with the recipe as scaled by the user
+ * @returns {Object|null} { recipe, url, tabTitle, extractedAt, cachedAt, id } or null
+ */
+export function getCurrentResult() {
+  return currentRecipe ? { ...currentOrigin, recipe: currentRecipe } : null;
+}
+
+/**
+ * Remember the library id of the current result once it has been saved
+ * @param {string} id - Library id
+ */
+export function setCurrentLibraryId(id) {
+  currentOrigin = { ...currentOrigin, id };
+}
+
+/**
+ * Switch the units the result is displayed in and re-render it
+ * @param {string} system - One of UNIT_SYSTEMS
+ */
+export function setUnitSystem(system) {
+  unitSystem = system;
+  if (currentRecipe) {
+    renderResultContent(document.getElementById("result-content"), currentRecipe);
+  }
+}
+
+function renderResultContent(resultContent, recipe) {
+  currentRecipe = recipe;
   resultContent.innerHTML = ""; // Clear previous content
 
   // Add result using DOM methods instead of innerHTML
-  resultContent.appendChild(formatJson(data));
+  if (recipe.parsedIngredients && recipe.parsedIngredients.length > 0) {
+    resultContent.appendChild(
+      renderServingsControl(recipe, (servings) =>
+        renderResultContent(resultContent, scaleRecipe(recipe, servings)),
+      ),
+    );
+  }
+  resultContent.appendChild(renderRecipeCard(convertRecipe(recipe, unitSystem)));
+
+  // Keep the data as the page or API sent it around for debugging, collapsed by default.
+  // Results saved before it was kept show the normalized recipe instead.
+  const rawToggle = document.createElement("details");
+  rawToggle.className = "raw-toggle";
+  const rawSummary = document.createElement("summary");
+  rawSummary.textContent = "Show raw";
+  rawToggle.appendChild(rawSummary);
+  rawToggle.appendChild(formatJson(recipe.raw || recipe));
+  resultContent.appendChild(rawToggle);
 }
 
 export function showError(message) {
@@ -165,8 +281,31 @@ export function formatJson(obj) {
   return div;
 }
 
-// Add this function to extension-functions.js
-export async function compressHtml(htmlContent) {
+/**
+ * Gzip HTML and base64-encode it, for the JSON upload
+ * @param {string} htmlContent - Cleaned page HTML
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the encoding
+ * @returns {Promise<string>} Base64 of the gzipped HTML
+ */
+export async function compressHtml(htmlContent, { signal } = {}) {
+  const compressedBlob = await compressHtmlToBlob(htmlContent, { signal });
+
+  // Convert Blob to Base64
+  const base64 = await blobToBase64(compressedBlob);
+  throwIfAborted(signal);
+
+  return base64;
+}
+
+/**
+ * Gzip HTML for a binary upload
+ * @param {string} htmlContent - Cleaned page HTML
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the compression
+ * @returns {Promise<Blob>} The compressed bytes
+ */
+export async function compressHtmlToBlob(htmlContent, { signal } = {}) {
   // Check if CompressionStream API is available
   if (typeof CompressionStream === 'undefined') {
     console.error('CompressionStream API not supported');
@@ -177,28 +316,28 @@ export async function compressHtml(htmlContent) {
   const encoder = new TextEncoder();
   const data = encoder.encode(htmlContent);
 
-  // Compress using CompressionStream (GZIP)
   const compressedStream = new Blob([data])
     .stream()
     .pipeThrough(new CompressionStream("gzip"));
 
   // Convert compressed stream to Blob
   const compressedBlob = await new Response(compressedStream).blob();
-
-  // Convert Blob to Base64
-  const base64 = await blobToBase64(compressedBlob);
-
-  console.log(`Original size: ${htmlContent.length} bytes`);
-  console.log(`Compressed size: ${base64.length} bytes`);
-  console.log(
-    `Compression ratio: ${((base64.length / htmlContent.length) * 100).toFixed(2)}%`,
-  );
-
-  return base64;
+  throwIfAborted(signal);
+  return compressedBlob;
 }
 
 // Helper function to convert Blob to Base64
-function blobToBase64(blob) {
+async function blobToBase64(blob) {
+  // Service workers have no FileReader
+  if (typeof FileReader === "undefined") {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = "";
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
     reader.onloadend = () => {
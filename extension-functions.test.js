@@ -1,11 +1,41 @@
 import {
-  extractPageContent,
   processContent,
+  requestRecipe,
   showResult,
   showError,
   formatJson,
-  compressHtml
+  compressHtml,
+  compressHtmlToBlob,
+  getCurrentResult,
+  setCurrentLibraryId
 } from './extension-functions.js';
+import { parseIngredient, parseRecipeIngredients } from './ingredient-parser.js';
+
+// Mock the auth module so its storage side effects don't run on import
+jest.mock('./google-auth.js', () => ({
+  getAuthToken: jest.fn().mockResolvedValue('test-token')
+}));
+
+jest.mock('./token-storage.js', () => ({
+  refreshAccessToken: jest.fn().mockResolvedValue(null)
+}));
+
+// Never rate limited; the real module keeps its state in chrome storage
+jest.mock('./rate-limit.js', () => ({
+  checkRateLimit: jest.fn().mockResolvedValue(0),
+  recordRateLimit: jest.fn().mockResolvedValue(undefined),
+  parseRetryAfter: jest.fn().mockReturnValue(null)
+}));
+
+// Stand-in for a fetch Response
+function mockResponse(status, body) {
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: new Map(),
+    text: async () => body
+  };
+}
 
 // Mock the chrome API
 global.chrome = {
@@ -42,6 +72,7 @@ document.createElement = jest.fn().mockImplementation((tag) => {
     className: '',
     textContent: '',
     appendChild: jest.fn(),
+    addEventListener: jest.fn(),
     style: {},
     result: '',
     onloadend: null,
@@ -62,9 +93,20 @@ global.Blob = jest.fn().mockImplementation(() => ({
 
 // Mock Response
 global.Response = jest.fn().mockImplementation(() => ({
-  blob: async () => 'mock-blob'
+  blob: async () => ({ size: 4 })
 }));
 
+// Mock FormData, since jsdom's only accepts its own Blob
+global.FormData = class {
+  constructor() {
+    this.fields = {};
+  }
+
+  append(name, value) {
+    this.fields[name] = value;
+  }
+};
+
 // Mock TextEncoder
 global.TextEncoder = jest.fn().mockImplementation(() => ({
   encode: jest.fn().mockReturnValue(new Uint8Array([116, 101, 115, 116]))
@@ -87,72 +129,74 @@ global.FileReader = jest.fn().mockImplementation(() => {
   };
 });
 
-describe('extractPageContent', () => {
-  beforeEach(() => {
-    // Create a simple DOM structure for testing
-    document.body.innerHTML = `
-      <html>
-        <head>
-          <script>console.log('test');</script>
-          <style>.test { color: red; }</style>
-          <link rel="stylesheet" href="styles.css">
-          <meta name="description" content="Test page">
-        </head>
-        <body>
-          <div id="content" class="main-content" style="padding: 10px;">
-            <h1>Test Title</h1>
-            <img src="test.jpg" alt="Test image">
-            <noscript>JavaScript is disabled</noscript>
-          </div>
-        </body>
-      </html>
-    `;
-
-    // Mock document.cloneNode
-    document.cloneNode = jest.fn().mockReturnValue({
-      documentElement: {
-        querySelectorAll: jest.fn().mockImplementation((selector) => {
-          if (selector === "script, style, link, meta, noscript") {
-            return [
-              { remove: jest.fn() },
-              { remove: jest.fn() },
-              { remove: jest.fn() }
-            ];
-          } else if (selector === "*") {
-            return [
-              { removeAttribute: jest.fn() },
-              { removeAttribute: jest.fn() }
-            ];
-          } else if (selector === "img") {
-            return [
-              {
-                alt: "Test image",
-                replaceWith: jest.fn()
-              }
-            ];
-          }
-          return [];
-        }),
-        outerHTML: '<html><body><h1>Test Title</h1>[Image: Test image]</body></html>'
-      }
+describe('parseIngredient', () => {
+  test('should split quantity, unit, item, preparation and note', () => {
+    expect(parseIngredient('1 1/2 cups finely chopped onion (about 2)')).toEqual({
+      text: '1 1/2 cups finely chopped onion (about 2)',
+      quantity: 1.5,
+      quantityMax: null,
+      unit: 'cup',
+      item: 'onion',
+      preparation: 'finely chopped',
+      note: 'about 2'
     });
   });
 
-  test('should extract page content and clean it', () => {
-    const result = extractPageContent();
-    expect(result).toBe('<html><body><h1>Test Title</h1>[Image: Test image]</body></html>');
+  test('should handle unicode fractions', () => {
+    expect(parseIngredient('½ tsp salt')).toMatchObject({ quantity: 0.5, unit: 'tsp', item: 'salt' });
+    expect(parseIngredient('1¾ cups milk')).toMatchObject({ quantity: 1.75, unit: 'cup', item: 'milk' });
   });
 
-  test('should handle errors gracefully', () => {
-    document.cloneNode = jest.fn().mockImplementation(() => {
-      throw new Error('Test error');
+  test('should handle ranges', () => {
+    expect(parseIngredient('2–3 cloves garlic, minced')).toMatchObject({
+      quantity: 2,
+      quantityMax: 3,
+      unit: 'clove',
+      item: 'garlic',
+      preparation: 'minced'
     });
+    expect(parseIngredient('4 to 6 eggs')).toMatchObject({ quantity: 4, quantityMax: 6, unit: null, item: 'eggs' });
+  });
 
-    console.error = jest.fn();
-    const result = extractPageContent();
+  test('should handle metric and imperial units', () => {
+    expect(parseIngredient('200g unsalted butter, softened')).toMatchObject({
+      quantity: 200,
+      unit: 'g',
+      item: 'unsalted butter',
+      preparation: 'softened'
+    });
+    expect(parseIngredient('1,5 l vegetable stock')).toMatchObject({ quantity: 1.5, unit: 'l', item: 'vegetable stock' });
+    expect(parseIngredient('2 Tbsp. olive oil')).toMatchObject({ quantity: 2, unit: 'tbsp', item: 'olive oil' });
+    expect(parseIngredient('1 T sugar')).toMatchObject({ unit: 'tbsp' });
+    expect(parseIngredient('1 t sugar')).toMatchObject({ unit: 'tsp' });
+    expect(parseIngredient('2 (14 oz) cans of tomatoes')).toMatchObject({
+      quantity: 2,
+      unit: 'can',
+      item: 'tomatoes',
+      note: '14 oz'
+    });
+  });
 
-    expect(result).toBeNull();
-    expect(console.error).toHaveBeenCalled();
+  test('should not mistake words for units', () => {
+    expect(parseIngredient('2 garlic bulbs')).toMatchObject({ unit: null, item: 'garlic bulbs' });
+    expect(parseIngredient('3 large carrots')).toMatchObject({ unit: null, item: 'large carrots' });
+  });
+
+  test('should leave lines without a quantity unparsed', () => {
+    expect(parseIngredient('Salt and pepper, to taste')).toMatchObject({
+      quantity: null,
+      unit: null,
+      item: 'Salt and pepper',
+      preparation: 'to taste'
+    });
+    expect(parseIngredient('a pinch of nutmeg')).toMatchObject({ quantity: 1, unit: 'pinch', item: 'nutmeg' });
+  });
+
+  test('should attach parsed ingredients to a recipe', () => {
+    const recipe = parseRecipeIngredients({ title: 'Rice', ingredients: ['2 cups rice'] });
+
+    expect(recipe.ingredients).toEqual(['2 cups rice']);
+    expect(recipe.parsedIngredients[0]).toMatchObject({ quantity: 2, unit: 'cup', item: 'rice' });
   });
 });
 
@@ -163,7 +207,16 @@ describe('compressHtml', () => {
     const result = await compressHtml('<html><body>Test Content</body></html>');
 
     expect(result).toBe('dGVzdA==');
-    expect(console.log).toHaveBeenCalledTimes(3);
+    expect(console.log).not.toHaveBeenCalled();
+  });
+
+  test('should gzip to a blob for the binary upload', async () => {
+    console.log = jest.fn();
+
+    const blob = await compressHtmlToBlob('<p>Soup</p>');
+
+    expect(blob.size).toBe(4);
+    expect(CompressionStream).toHaveBeenLastCalledWith('gzip');
   });
 });
 
@@ -172,108 +225,195 @@ describe('processContent', () => {
     jest.clearAllMocks();
     console.log = jest.fn();
     console.error = jest.fn();
+    global.fetch = jest.fn();
   });
 
   test('should process content successfully', async () => {
-    // Setup mocks for successful API calls
-    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
-      if (message.url.includes('actuator/info')) {
-        callback({ success: true, data: { status: 200 } });
-      } else {
-        callback({
-          success: true,
-          data: {
-            status: 200,
-            body: JSON.stringify({ recipe: 'Test Recipe' })
-          }
-        });
-      }
-    });
+    fetch.mockResolvedValue(mockResponse(200, JSON.stringify({ recipe: 'Test Recipe' })));
 
-    global.showResult = jest.fn();
+    const tab = { url: 'https://example.com', title: 'Example' };
+    const pageContent = { html: '<html><body>Test Content</body></html>', jsonLd: [] };
+
+    const recipe = await processContent(tab, pageContent);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(recipe.source).toBe('api');
+    expect(console.error).not.toHaveBeenCalled();
+
+    // Uploaded as a gzipped file part, without a JSON Content-Type
+    const [, options] = fetch.mock.calls[0];
+    expect(options.body.fields).toMatchObject({ url: 'https://example.com', encoding: 'gzip' });
+    expect(options.headers['Content-Type']).toBeUndefined();
+  });
 
+  test('should use JSON-LD recipes without calling the API', async () => {
     const tab = { url: 'https://example.com', title: 'Example' };
-    const htmlContent = '<html><body>Test Content</body></html>';
+    const pageContent = {
+      html: '<html><body>Test Content</body></html>',
+      jsonLd: [{
+        '@context': 'https://schema.org',
+        '@graph': [
+          { '@type': 'WebPage', name: 'Example' },
+          {
+            '@type': 'Recipe',
+            name: 'Pancakes',
+            recipeIngredient: ['1 cup flour', '1 egg'],
+            recipeInstructions: [{ '@type': 'HowToStep', text: 'Mix.' }]
+          }
+        ]
+      }]
+    };
 
-    await processContent(tab, htmlContent);
+    const recipe = await processContent(tab, pageContent);
 
-    expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+    expect(fetch).not.toHaveBeenCalled();
+    expect(recipe.title).toBe('Pancakes');
+    expect(recipe.parsedIngredients).toHaveLength(2);
     expect(console.error).not.toHaveBeenCalled();
   });
 
   test('should handle API errors', async () => {
-    // Setup mocks for API errors
-    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
-      if (message.url.includes('actuator/info')) {
-        callback({ success: true, data: { status: 200 } });
-      } else {
-        callback({
-          success: false,
-          error: 'API Error'
-        });
-      }
-    });
-
-    global.showError = jest.fn();
+    // The API can't be reached and the page has nothing recipe-like to fall back on
+    fetch.mockRejectedValue(new TypeError('API Error'));
 
     const tab = { url: 'https://example.com', title: 'Example' };
-    const htmlContent = '<html><body>Test Content</body></html>';
+    const pageContent = { html: '<html><body>Test Content</body></html>', jsonLd: [] };
 
-    await processContent(tab, htmlContent);
+    await expect(processContent(tab, pageContent)).rejects.toThrow('API Error');
 
     expect(console.error).toHaveBeenCalled();
   });
 
-  test('should handle non-200 status codes', async () => {
-    // Setup mocks for non-200 status
-    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
-      if (message.url.includes('actuator/info')) {
-        callback({ success: true, data: { status: 200 } });
-      } else {
-        callback({
-          success: true,
-          data: {
-            status: 400,
-            body: 'Bad Request'
-          }
-        });
-      }
-    });
+  test('should fall back to the heuristic extractor when the API is unreachable', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+    console.warn = jest.fn();
 
-    global.showError = jest.fn();
+    const tab = { url: 'https://example.com', title: 'Example' };
+    const pageContent = {
+      html: '<html><body><ul><li>2 cups rice</li><li>4 cups water</li></ul></body></html>',
+      jsonLd: []
+    };
+
+    const recipe = await processContent(tab, pageContent);
+
+    expect(recipe.confidence).toBe('low');
+    expect(console.warn).toHaveBeenCalled();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test('should handle non-200 status codes', async () => {
+    fetch.mockResolvedValue(mockResponse(400, 'Bad Request'));
 
     const tab = { url: 'https://example.com', title: 'Example' };
-    const htmlContent = '<html><body>Test Content</body></html>';
+    const pageContent = { html: '<html><body>Test Content</body></html>', jsonLd: [] };
 
-    await processContent(tab, htmlContent);
+    await expect(processContent(tab, pageContent)).rejects.toThrow('API request failed (400)');
 
     expect(console.error).toHaveBeenCalled();
   });
 
   test('should handle JSON parsing errors', async () => {
-    // Setup mocks for JSON parsing errors
-    chrome.runtime.sendMessage.mockImplementation((message, callback) => {
-      if (message.url.includes('actuator/info')) {
-        callback({ success: true, data: { status: 200 } });
-      } else {
-        callback({
-          success: true,
-          data: {
-            status: 200,
-            body: '{invalid json'
-          }
-        });
-      }
+    fetch.mockResolvedValue(mockResponse(200, '{invalid json'));
+
+    const tab = { url: 'https://example.com', title: 'Example' };
+    const pageContent = { html: '<html><body>Test Content</body></html>', jsonLd: [] };
+
+    await expect(processContent(tab, pageContent)).rejects.toThrow('Invalid response format');
+
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  test('should return the API response unchanged from requestRecipe', async () => {
+    const payload = { title: 'Soup', ingredients: ['1 cup stock'], nutrition: { calories: 120 } };
+    fetch.mockResolvedValue(mockResponse(200, JSON.stringify(payload)));
+
+    const response = await requestRecipe({ url: 'https://example.com', title: 'Example' }, '<p>Soup</p>');
+
+    expect(response).toEqual(payload);
+  });
+
+  test('should map API fields onto the displayed recipe', async () => {
+    const payload = {
+      title: 'Tomato soup',
+      description: 'Quick and warming',
+      image: 'https://example.com/soup.jpg',
+      author: { name: 'Sam' },
+      yield: '4 servings',
+      prepTime: 'PT10M',
+      cookTime: 'PT20M',
+      totalTime: 'PT30M',
+      ingredients: ['2 cups stock'],
+      instructions: 'Simmer.\nBlend.',
+      notes: ['Freezes well'],
+      keywords: 'Soup, Vegetarian',
+      nutrition: { calories: 120 }
+    };
+    fetch.mockResolvedValue(mockResponse(200, JSON.stringify(payload)));
+
+    const recipe = await processContent({ url: 'https://example.com', title: 'Example' }, { html: '<p>Soup</p>', jsonLd: [] });
+
+    expect(recipe).toMatchObject({
+      source: 'api',
+      title: 'Tomato soup',
+      description: 'Quick and warming',
+      image: 'https://example.com/soup.jpg',
+      author: 'Sam',
+      yield: '4 servings',
+      prepTime: 10,
+      cookTime: 20,
+      totalTime: 30,
+      ingredients: ['2 cups stock'],
+      instructions: [{ section: null, text: 'Simmer.' }, { section: null, text: 'Blend.' }],
+      notes: ['Freezes well'],
+      tags: ['soup', 'vegetarian']
     });
+    // Fields the display doesn't use are still there, as the API sent them
+    expect(recipe.raw).toEqual(payload);
+  });
 
-    global.showError = jest.fn();
+  test('should send a page too large for a binary upload as JSON, for that page only', async () => {
+    console.warn = jest.fn();
+    fetch
+      .mockResolvedValueOnce(mockResponse(413, 'Payload Too Large'))
+      .mockResolvedValue(mockResponse(200, JSON.stringify({ recipe: 'Test Recipe' })));
 
     const tab = { url: 'https://example.com', title: 'Example' };
-    const htmlContent = '<html><body>Test Content</body></html>';
+    const pageContent = { html: '<html><body>Test Content</body></html>', jsonLd: [] };
 
-    await processContent(tab, htmlContent);
+    await processContent(tab, pageContent);
+    await processContent(tab, pageContent);
 
-    expect(console.error).toHaveBeenCalled();
+    expect(fetch).toHaveBeenCalledTimes(3);
+    expect(fetch.mock.calls[0][1].body).toBeInstanceOf(FormData);
+    expect(fetch.mock.calls[1][1].headers['Content-Type']).toBe('application/json');
+    expect(fetch.mock.calls[2][1].body).toBeInstanceOf(FormData);
+  });
+
+  test.each([
+    [400, 'Bad Request'],
+    [415, 'Unsupported Media Type']
+  ])('should fall back to base64 JSON when the server rejects binary uploads (%i)', async (status, text) => {
+    console.warn = jest.fn();
+    // Once the fallback kicks in, it stays on for the module's lifetime
+    let processContent;
+    await jest.isolateModulesAsync(async () => {
+      ({ processContent } = await import('./extension-functions.js'));
+    });
+    fetch
+      .mockResolvedValueOnce(mockResponse(status, text))
+      .mockResolvedValue(mockResponse(200, JSON.stringify({ recipe: 'Test Recipe' })));
+
+    const tab = { url: 'https://example.com', title: 'Example' };
+    const pageContent = { html: '<html><body>Test Content</body></html>', jsonLd: [] };
+
+    await processContent(tab, pageContent);
+    await processContent(tab, pageContent);
+
+    expect(fetch).toHaveBeenCalledTimes(3);
+    const [, retry] = fetch.mock.calls[1];
+    expect(retry.headers['Content-Type']).toBe('application/json');
+    expect(JSON.parse(retry.body).html).toBe('dGVzdA==');
+    expect(typeof fetch.mock.calls[2][1].body).toBe('string');
   });
 });
 
@@ -283,22 +423,72 @@ describe('showResult', () => {
     const resultElement = { style: { display: 'none' } };
     const errorElement = { style: { display: 'block' } };
     const resultContent = { innerHTML: 'old content', appendChild: jest.fn() };
+    const sourceElement = { textContent: '' };
+    const saveButton = { textContent: 'Saved ✓' };
+    const cacheNotice = { style: { display: 'flex' } };
 
     document.getElementById.mockImplementation((id) => {
       if (id === 'status') return statusElement;
       if (id === 'result') return resultElement;
       if (id === 'error') return errorElement;
       if (id === 'result-content') return resultContent;
+      if (id === 'result-source') return sourceElement;
+      if (id === 'save-button') return saveButton;
+      if (id === 'cache-notice') return cacheNotice;
       return null;
     });
 
-    showResult({ test: 'data' });
+    showResult({ test: 'data', source: 'microdata' });
 
     expect(statusElement.style.display).toBe('none');
     expect(errorElement.style.display).toBe('none');
     expect(resultElement.style.display).toBe('block');
     expect(resultContent.innerHTML).toBe('');
-    expect(resultContent.appendChild).toHaveBeenCalled();
+    // Recipe card plus the collapsed raw JSON toggle
+    expect(resultContent.appendChild).toHaveBeenCalledTimes(2);
+    expect(sourceElement.textContent).toBe('Source: Microdata');
+    expect(saveButton.textContent).toBe('Save');
+    expect(cacheNotice.style.display).toBe('none');
+  });
+
+  test('should say when the result came from the cache', () => {
+    const cacheNotice = { style: { display: 'none' } };
+    const cacheNoticeText = { textContent: '' };
+    const element = () => ({ style: {}, textContent: '', innerHTML: '', appendChild: jest.fn() });
+    document.getElementById.mockImplementation((id) => {
+      if (id === 'cache-notice') return cacheNotice;
+      if (id === 'cache-notice-text') return cacheNoticeText;
+      return element();
+    });
+
+    showResult({ title: 'Soup', source: 'api' }, { cachedAt: Date.now() });
+
+    expect(cacheNotice.style.display).toBe('flex');
+    expect(cacheNoticeText.textContent).toMatch(/^Cached result from /);
+  });
+
+  test('should show the payload as received under Show raw', () => {
+    document.getElementById.mockImplementation(() => ({ style: {}, textContent: '', innerHTML: '', appendChild: jest.fn() }));
+    document.createElement.mockClear();
+
+    showResult({ title: 'Soup', source: 'api', raw: { name: 'Soup', nutrition: { calories: 120 } } });
+
+    const labels = document.createElement.mock.results.map(({ value }) => value.textContent);
+    expect(labels).toEqual(expect.arrayContaining(['Show raw', 'name: ', 'nutrition: ', 'calories: ']));
+    expect(labels).not.toContain('source: ');
+  });
+
+  test('should expose the displayed result with its origin for saving', () => {
+    const origin = { url: 'https://example.com/soup', tabTitle: 'Soup', extractedAt: 1 };
+
+    showResult({ title: 'Soup', source: 'json-ld' }, origin);
+    setCurrentLibraryId('abc');
+
+    expect(getCurrentResult()).toEqual({
+      ...origin,
+      id: 'abc',
+      recipe: { title: 'Soup', source: 'json-ld' }
+    });
   });
 });
 
@@ -0,0 +1,569 @@
+// extraction-jobs.js - Recipe extraction jobs owned by the service worker
+import { processContent } from "./extension-functions.js";
+import { extractPageContent, mergeFrameContents } from "./page-content.js";
+import {
+  enqueueRecipeRequest,
+  cancelQueuedRequestsForJob,
+  onQueueItemSettled,
+} from "./request-queue.js";
+import { isRetryable, throwIfAborted } from "./api-client.js";
+import { getCachedResult, cacheResult } from "./result-cache.js";
+import { getPickedSelector } from "./element-picker.js";
+import { runOffscreenTask } from "./offscreen-client.js";
+
+const JOBS_STORAGE_KEY = "extraction_jobs";
+// Finished jobs are kept this long so a reopened popup can still show them
+const FINISHED_JOB_TTL = 60 * 60 * 1000;
+
+export const JOB_STATUS = {
+  READING: "reading",
+  EXTRACTING: "extracting",
+  // The API was unreachable; the request waits in request-queue.js
+  QUEUED: "queued",
+  DONE: "done",
+  ERROR: "error",
+  CANCELLED: "cancelled",
+};
+
+// What part of the page a job reads
+export const SCOPE_TYPES = {
+  PAGE: "page",
+  // The block the user picked with element-picker.js
+  SELECTOR: "selector",
+  SELECTION: "selection",
+  // A linked page, fetched without opening it in a tab
+  LINK: "link",
+};
+
+const ACTIVE_STATUSES = [JOB_STATUS.READING, JOB_STATUS.EXTRACTING];
+// Jobs the popup shouldn't reattach to: opening it again starts over
+const RESTARTABLE_STATUSES = [JOB_STATUS.ERROR, JOB_STATUS.CANCELLED];
+const FINISHED_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.ERROR];
+
+// id -> job, loaded from storage once per service worker lifetime
+let jobsPromise = null;
+// Storage writes are chained so an older snapshot never overwrites a newer one
+let pendingWrite = Promise.resolve();
+// Called with each job that reaches DONE or ERROR, once
+const finishListeners = [];
+// Called with every change to every job
+const updateListeners = [];
+// id -> AbortController of each job running in this service worker
+const jobControllers = new Map();
+
+/**
+ * Start extracting the recipe from a tab, or reattach to the tab's current job.
+ * A job for the same URL that is still running or has finished is reused,
+ * unless `force` is set. New jobs use a cached result if the page hasn't changed.
+ * @param {Object} tab - The tab to extract from ({ id, url, title })
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Always start a new job and skip the result cache (e.g. "Refresh")
+ * @param {Object} [options.scope] - { type, selector } of SCOPE_TYPES; defaults to the
+ *   block picked on this site before, if any, or the whole page
+ * @param {string} [options.batchId] - The batch-extraction.js run the job belongs to
+ * @returns {Promise<Object>} The job
+ */
+export async function startExtractionJob(tab, { force = false, scope = null, batchId = null } = {}) {
+  const jobs = await loadJobs();
+  pruneJobs(jobs);
+
+  const existing = await getLatestJobForTab(tab.id);
+  if (!force && existing && existing.url === tab.url && !RESTARTABLE_STATUSES.includes(existing.status)) {
+    return existing;
+  }
+
+  let jobScope = scope;
+  if (!jobScope) {
+    const selector = await getPickedSelector(tab.url);
+    jobScope = selector ? { type: SCOPE_TYPES.SELECTOR, selector } : { type: SCOPE_TYPES.PAGE };
+  }
+
+  const now = Date.now();
+  const job = {
+    id: generateId(),
+    tabId: tab.id,
+    url: tab.url,
+    title: tab.title,
+    scope: jobScope,
+    batchId,
+    status: JOB_STATUS.READING,
+    result: null,
+    error: null,
+    errorType: null,
+    // Set when the result came from result-cache.js
+    cachedAt: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+  };
+
+  jobs.set(job.id, job);
+  await persistJobs(jobs);
+
+  startRun(job, { useCache: !force });
+  return job;
+}
+
+/**
+ * Start extracting the recipe from a linked page without opening it. The job
+ * has no tab; the page is fetched and read in the offscreen document.
+ * @param {string} url - The linked page's URL
+ * @param {Object} [options]
+ * @param {string} [options.batchId] - The batch-extraction.js run the job belongs to
+ * @returns {Promise<Object>} The job
+ */
+export async function startLinkExtractionJob(url, { batchId = null } = {}) {
+  const jobs = await loadJobs();
+  pruneJobs(jobs);
+
+  const now = Date.now();
+  const job = {
+    id: generateId(),
+    tabId: null,
+    url,
+    // Replaced by the page title once it has been fetched
+    title: url,
+    scope: { type: SCOPE_TYPES.LINK },
+    batchId,
+    status: JOB_STATUS.READING,
+    result: null,
+    error: null,
+    errorType: null,
+    cachedAt: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+  };
+
+  jobs.set(job.id, job);
+  await persistJobs(jobs);
+
+  startRun(job);
+  return job;
+}
+
+/**
+ * Cancel a job: abort whatever step it is in and drop its queued request, if any
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} The cancelled job, or null if it doesn't exist
+ */
+export async function cancelExtractionJob(id) {
+  const job = await getJob(id);
+  if (!job || job.status === JOB_STATUS.DONE || RESTARTABLE_STATUSES.includes(job.status)) {
+    return job;
+  }
+
+  // Mark it first, so neither the aborted run nor the queue overwrite the status
+  const cancelled = await updateJob(id, { status: JOB_STATUS.CANCELLED, finishedAt: Date.now() });
+  const controller = jobControllers.get(id);
+  if (controller) {
+    controller.abort();
+  }
+  await cancelQueuedRequestsForJob(id);
+  return cancelled;
+}
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} The job, or null if it has been removed
+ */
+export async function getJob(id) {
+  const jobs = await loadJobs();
+  return jobs.get(id) || null;
+}
+
+/**
+ * Register a listener for finished jobs, successful or not. A heuristic result
+ * replaced by the API's later doesn't count as finishing again.
+ * @param {Function} listener - Called with the finished job
+ */
+export function onJobFinished(listener) {
+  finishListeners.push(listener);
+}
+
+/**
+ * Register a listener for every job change, including progress
+ * @param {Function} listener - Called with the updated job
+ */
+export function onJobUpdated(listener) {
+  updateListeners.push(listener);
+}
+
+/**
+ * Get the most recent job for a tab
+ * @param {number} tabId - Tab id
+ * @returns {Promise<Object|null>} The job, or null if the tab has none
+ */
+export async function getLatestJobForTab(tabId) {
+  const jobs = await loadJobs();
+  let latest = null;
+  jobs.forEach((job) => {
+    if (job.tabId === tabId && (!latest || job.createdAt > latest.createdAt)) {
+      latest = job;
+    }
+  });
+  return latest;
+}
+
+/**
+ * Forget every job for a tab, e.g. once it is closed
+ * @param {number} tabId - Tab id
+ * @returns {Promise<void>}
+ */
+export async function removeJobsForTab(tabId) {
+  const jobs = await loadJobs();
+  let removed = false;
+  jobs.forEach((job, id) => {
+    if (job.tabId === tabId) {
+      jobs.delete(id);
+      removed = true;
+    }
+  });
+  if (removed) {
+    await persistJobs(jobs);
+  }
+}
+
+/**
+ * Restart jobs that were still running when the service worker was stopped.
+ * Call once when the worker starts: nothing is running yet, so every active
+ * job in storage was interrupted.
+ * @returns {Promise<void>}
+ */
+export async function resumeInterruptedJobs() {
+  const jobs = await loadJobs();
+  const interrupted = [...jobs.values()].filter((job) => ACTIVE_STATUSES.includes(job.status));
+
+  for (const job of interrupted) {
+    if (job.scope && job.scope.type === SCOPE_TYPES.LINK) {
+      console.log("Resuming interrupted extraction job:", job.id);
+      startRun(job); // Nothing to check: it never depended on a tab
+      continue;
+    }
+
+    const tab = await chrome.tabs.get(job.tabId).catch(() => null);
+    if (tab && tab.url === job.url) {
+      console.log("Resuming interrupted extraction job:", job.id);
+      startRun(job);
+    } else {
+      await updateJob(job.id, {
+        status: JOB_STATUS.ERROR,
+        error: "Extraction was interrupted because the page was closed or changed",
+        finishedAt: Date.now(),
+      });
+    }
+  }
+}
+
+/**
+ * Run a job without waiting for it. runJob records its own failures; this
+ * catches what escapes it (e.g. a failure while queueing the request), so
+ * the job ends in ERROR instead of staying in READING or EXTRACTING.
+ * @param {Object} job - The job to run
+ * @param {Object} [options] - Options for runJob
+ */
+function startRun(job, options) {
+  runJob(job, options).catch((error) => {
+    console.error("Extraction job failed:", error);
+    updateJob(job.id, {
+      status: JOB_STATUS.ERROR,
+      error: error.message,
+      errorType: error.name,
+      finishedAt: Date.now(),
+    }).catch((updateError) => {
+      console.error("Failed to record extraction job failure:", updateError);
+    });
+  });
+}
+
+/**
+ * Read the page, extract the recipe and record each step on the job
+ * @param {Object} job - The job to run
+ * @param {Object} [options]
+ * @param {boolean} [options.useCache] - Reuse a cached result for unchanged page content
+ * @returns {Promise<void>}
+ */
+async function runJob(job, { useCache = true } = {}) {
+  const tab = { id: job.tabId, url: job.url, title: job.title };
+  const controller = new AbortController();
+  const { signal } = controller;
+  let pageContent = null;
+  jobControllers.set(job.id, controller);
+
+  try {
+    await updateJob(job.id, { status: JOB_STATUS.READING });
+    const scope = job.scope || { type: SCOPE_TYPES.PAGE };
+    if (scope.type === SCOPE_TYPES.LINK) {
+      pageContent = await fetchLinkedPage(job.url, signal);
+      tab.title = pageContent.title || tab.title;
+      await updateJob(job.id, { title: tab.title });
+    } else {
+      pageContent = await readPageContent(job.tabId, scope);
+    }
+    // executeScript can't be interrupted, so check once it returns
+    throwIfAborted(signal);
+    if (pageContent.scope !== scope.type) {
+      // The picked block isn't on this page; the whole page was read instead
+      await updateJob(job.id, { scope: { type: pageContent.scope } });
+    }
+
+    const cached = useCache ? await getCachedResult(job.url, pageContent.html) : null;
+    throwIfAborted(signal);
+    if (cached) {
+      await updateJob(job.id, {
+        status: JOB_STATUS.DONE,
+        result: cached.recipe,
+        cachedAt: cached.cachedAt,
+        finishedAt: Date.now(),
+      });
+      return;
+    }
+
+    await updateJob(job.id, { status: JOB_STATUS.EXTRACTING });
+    const recipe = await processContent(tab, pageContent, { signal });
+    throwIfAborted(signal);
+
+    await updateJob(job.id, { status: JOB_STATUS.DONE, result: recipe, finishedAt: Date.now() });
+
+    if (recipe.source === "heuristic") {
+      // The API was unreachable and this is only a guess: get the real result once it's back
+      await enqueueRecipeRequest({
+        jobId: job.id,
+        tab,
+        html: pageContent.html,
+        error: "Recipe API unreachable",
+      });
+    } else {
+      await cacheResult(job.url, pageContent.html, recipe);
+    }
+  } catch (error) {
+    if (signal.aborted) {
+      return; // cancelExtractionJob already recorded the cancellation
+    }
+
+    if (isRetryable(error) && pageContent) {
+      const queued = await enqueueRecipeRequest({
+        jobId: job.id,
+        tab,
+        html: pageContent.html,
+        error: error.message,
+        retryAfter: error.retryAfter,
+      });
+      if (queued) {
+        await updateJob(job.id, { status: JOB_STATUS.QUEUED, error: error.message, errorType: error.name });
+        return;
+      }
+      // Too large to keep for a retry: fail like any other error
+    }
+
+    // errorType is the error class name (e.g. "AuthError") for the popup to switch on
+    await updateJob(job.id, {
+      status: JOB_STATUS.ERROR,
+      error: error.message,
+      errorType: error.name,
+      finishedAt: Date.now(),
+    });
+  } finally {
+    jobControllers.delete(job.id);
+  }
+}
+
+/**
+ * Finish a job whose API request went through the retry queue
+ * @param {string} id - Job id
+ * @param {Object} outcome - { recipe } on success, { error } if the request was given up
+ * @returns {Promise<void>}
+ */
+async function settleQueuedJob(id, { recipe, error }) {
+  const job = await getJob(id);
+  if (!job) {
+    return;
+  }
+
+  if (recipe) {
+    await updateJob(id, {
+      status: JOB_STATUS.DONE,
+      result: recipe,
+      error: null,
+      errorType: null,
+      finishedAt: Date.now(),
+    });
+  } else if (job.status === JOB_STATUS.QUEUED) {
+    // Jobs that already show a heuristic result keep it
+    await updateJob(id, { status: JOB_STATUS.ERROR, error, finishedAt: Date.now() });
+  }
+}
+
+onQueueItemSettled((item, outcome) => {
+  if (outcome.recipe) {
+    cacheResult(item.tab.url, item.html, outcome.recipe).catch((error) => {
+      console.error("Failed to cache queued result:", error);
+    });
+  }
+  settleQueuedJob(item.jobId, outcome).catch((error) => {
+    console.error("Failed to update queued extraction job:", error);
+  });
+});
+
+/**
+ * Run extractPageContent in a tab and merge the results. The whole page is
+ * read in every frame, since recipe widgets are often embedded in iframes.
+ * A picked block or selection is read from the top frame only.
+ *
+ * activeTab only grants the tab's own origin, so executeScript silently skips
+ * iframes from other sites unless the user granted host access to them (the
+ * Batch tab asks for all sites). Frames whose script failed are left out with
+ * a warning; only a failure in the top frame fails the read.
+ * @param {number} tabId - Tab id
+ * @param {Object} scope - { type, selector } of SCOPE_TYPES
+ * @returns {Promise<Object>} The page content
+ */
+async function readPageContent(tabId, scope) {
+  let results;
+  try {
+    results = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: scope.type === SCOPE_TYPES.PAGE },
+      func: extractPageContent,
+      args: [scope],
+    });
+  } catch (error) {
+    throw new Error(`Script execution failed: ${error.message}`);
+  }
+
+  const frames = results || [];
+  const failed = frames.filter((frame) => frame.error);
+  const topFailure = failed.find((frame) => frame.frameId === 0);
+  if (topFailure) {
+    throw new Error(`Script execution failed: ${errorMessage(topFailure.error)}`);
+  }
+  if (failed.length > 0) {
+    console.warn(
+      "Skipped frames that could not be read:",
+      failed.map((frame) => `${frame.frameId}: ${errorMessage(frame.error)}`),
+    );
+  }
+
+  const pageContent = mergeFrameContents(frames.filter((frame) => !frame.error));
+  if (!pageContent) {
+    throw new Error("Failed to extract page content");
+  }
+  if (!pageContent.html && scope.type === SCOPE_TYPES.SELECTION) {
+    throw new Error("Nothing is selected. Select the recipe text on the page first.");
+  }
+  return pageContent;
+}
+
+// Injection errors are Error-like objects in some browsers and strings in others
+function errorMessage(error) {
+  return error.message || String(error);
+}
+
+/**
+ * Fetch a linked page and read it like an open one. Cookies aren't sent, so
+ * pages behind a login come back as their logged-out version.
+ *
+ * The manifest's connect-src lets the service worker fetch any http(s) page,
+ * but reading another site's response also takes host access to it, which is
+ * optional and asked for by the popup or the context menu's access page.
+ * @param {string} url - Page URL
+ * @param {AbortSignal} signal - Cancels the download
+ * @returns {Promise<Object>} The page content, with the page title
+ */
+async function fetchLinkedPage(url, signal) {
+  const { hostname, origin } = new URL(url);
+  if (!(await chrome.permissions.contains({ origins: [`${origin}/*`] }))) {
+    throw new Error(`The extension has no access to ${hostname}`);
+  }
+
+  let response;
+  try {
+    response = await fetch(url, { signal, credentials: "omit" });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw error;
+    }
+    throw new Error(`Could not load the linked page: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`The linked page could not be loaded (HTTP ${response.status})`);
+  }
+  if (!/html/i.test(response.headers.get("Content-Type") || "")) {
+    throw new Error("The link doesn't point to a web page");
+  }
+
+  const html = await response.text();
+  // Redirects count: relative links resolve against where the page ended up
+  const { pageContent } = await runOffscreenTask("read-page", { html, url: response.url || url });
+  if (!pageContent) {
+    throw new Error("Failed to extract page content");
+  }
+  return { ...pageContent, scope: SCOPE_TYPES.LINK };
+}
+
+/**
+ * Apply changes to a job, persist it and tell any open popup
+ * @param {string} id - Job id
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} The updated job, or null if it no longer exists
+ */
+async function updateJob(id, changes) {
+  const jobs = await loadJobs();
+  if (!jobs.has(id)) {
+    return null; // The tab was closed while the job ran
+  }
+
+  const previous = jobs.get(id);
+  const job = { ...previous, ...changes, updatedAt: Date.now() };
+  jobs.set(id, job);
+  await persistJobs(jobs);
+
+  chrome.runtime.sendMessage({ action: "extraction-job-updated", job }).catch(() => {
+    // It's normal for this to fail if the popup is closed
+  });
+  updateListeners.forEach((listener) => listener(job));
+  if (FINISHED_STATUSES.includes(job.status) && !FINISHED_STATUSES.includes(previous.status)) {
+    finishListeners.forEach((listener) => listener(job));
+  }
+  return job;
+}
+
+function loadJobs() {
+  if (!jobsPromise) {
+    jobsPromise = chrome.storage.local
+      .get(JOBS_STORAGE_KEY)
+      .then((stored) => new Map(Object.entries(stored[JOBS_STORAGE_KEY] || {})))
+      .catch((error) => {
+        jobsPromise = null;
+        throw error;
+      });
+  }
+  return jobsPromise;
+}
+
+function persistJobs(jobs) {
+  const snapshot = Object.fromEntries(jobs);
+  pendingWrite = pendingWrite
+    .then(() => chrome.storage.local.set({ [JOBS_STORAGE_KEY]: snapshot }))
+    .catch((error) => {
+      console.error("Failed to save extraction jobs:", error);
+    });
+  return pendingWrite;
+}
+
+/**
+ * Drop finished jobs older than FINISHED_JOB_TTL
+ * @param {Map<string, Object>} jobs - Loaded jobs, modified in place
+ */
+function pruneJobs(jobs) {
+  const cutoff = Date.now() - FINISHED_JOB_TTL;
+  jobs.forEach((job, id) => {
+    if (job.finishedAt && job.finishedAt < cutoff) {
+      jobs.delete(id);
+    }
+  });
+}
+
+function generateId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
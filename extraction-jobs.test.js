@@ -0,0 +1,409 @@
+import { connectAllowed, fetchUnderCsp } from './test-csp.js';
+
+jest.mock('./extension-functions.js', () => ({
+  processContent: jest.fn(),
+  requestRecipe: jest.fn()
+}));
+
+jest.mock('./page-content.js', () => ({
+  extractPageContent: jest.fn(),
+  mergeFrameContents: jest.fn((results) => results[0].result)
+}));
+
+jest.mock('./offscreen-client.js', () => ({ runOffscreenTask: jest.fn() }));
+
+// The API client's auth modules touch chrome storage on import
+jest.mock('./google-auth.js', () => ({ getAuthToken: jest.fn() }));
+jest.mock('./token-storage.js', () => ({ refreshAccessToken: jest.fn() }));
+
+// Minimal chrome API: storage.local backed by an object
+let stored;
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) => ({ [key]: stored[key] })),
+      set: jest.fn(async (items) => Object.assign(stored, items))
+    }
+  },
+  runtime: {
+    sendMessage: jest.fn().mockResolvedValue(undefined)
+  },
+  scripting: {
+    executeScript: jest.fn()
+  },
+  tabs: {
+    get: jest.fn()
+  },
+  permissions: {
+    contains: jest.fn().mockResolvedValue(true)
+  }
+};
+
+const tab = { id: 7, url: 'https://example.com/soup', title: 'Soup' };
+
+// Let a started job run to completion
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Both re-imported per test, so every test starts with no jobs loaded
+let jobs;
+let processContent;
+
+beforeEach(async () => {
+  jest.resetModules();
+  jest.clearAllMocks();
+  stored = {};
+  console.log = jest.fn();
+  chrome.scripting.executeScript.mockResolvedValue([{ result: { html: '<p>Soup</p>', scope: 'page' } }]);
+  ({ processContent } = await import('./extension-functions.js'));
+  processContent.mockResolvedValue({ title: 'Soup' });
+  jobs = await import('./extraction-jobs.js');
+});
+
+describe('startExtractionJob', () => {
+  test('should run the job and persist the result', async () => {
+    const job = await jobs.startExtractionJob(tab);
+    await settle();
+
+    const saved = stored.extraction_jobs[job.id];
+    expect(chrome.scripting.executeScript).toHaveBeenCalledWith(
+      expect.objectContaining({ target: { tabId: 7, allFrames: true } })
+    );
+    expect(saved.status).toBe(jobs.JOB_STATUS.DONE);
+    expect(saved.result).toEqual({ title: 'Soup' });
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ action: 'extraction-job-updated' })
+    );
+  });
+
+  test('should reattach to the existing job for the same page', async () => {
+    const first = await jobs.startExtractionJob(tab);
+    await settle();
+    const second = await jobs.startExtractionJob(tab);
+
+    expect(second.id).toBe(first.id);
+    expect(processContent).toHaveBeenCalledTimes(1);
+  });
+
+  test('should start a new job when forced or after an error', async () => {
+    processContent.mockRejectedValueOnce(new Error('API Error'));
+    const failed = await jobs.startExtractionJob(tab);
+    await settle();
+    expect(stored.extraction_jobs[failed.id].error).toBe('API Error');
+
+    const retried = await jobs.startExtractionJob(tab);
+    await settle();
+    const forced = await jobs.startExtractionJob(tab, { force: true });
+
+    expect(retried.id).not.toBe(failed.id);
+    expect(forced.id).not.toBe(retried.id);
+  });
+});
+
+describe('job failures', () => {
+  test('should end in ERROR when queueing the request fails', async () => {
+    console.error = jest.fn();
+    const { NetworkError } = await import('./api-client.js');
+    processContent.mockRejectedValue(new NetworkError('Failed to fetch'));
+    // No chrome.alarms here, so scheduling the retry throws
+    const job = await jobs.startExtractionJob(tab);
+    await settle();
+    await settle();
+
+    expect(stored.extraction_jobs[job.id].status).toBe(jobs.JOB_STATUS.ERROR);
+    expect(console.error).toHaveBeenCalledWith('Extraction job failed:', expect.any(TypeError));
+  });
+
+  test('should end in ERROR when the page is too large to queue', async () => {
+    console.warn = jest.fn();
+    const { NetworkError } = await import('./api-client.js');
+    processContent.mockRejectedValue(new NetworkError('Failed to fetch'));
+    chrome.scripting.executeScript.mockResolvedValue([{ result: { html: 'x'.repeat(2 * 1024 * 1024), scope: 'page' } }]);
+    const job = await jobs.startExtractionJob(tab);
+    await settle();
+
+    expect(stored.extraction_jobs[job.id]).toMatchObject({
+      status: jobs.JOB_STATUS.ERROR,
+      error: 'Failed to fetch'
+    });
+    expect(stored.request_queue).toBeUndefined();
+  });
+});
+
+describe('extraction scope', () => {
+  test('should read only the block picked on this site before', async () => {
+    stored.picked_selectors = { 'example.com': '#recipe' };
+    chrome.scripting.executeScript.mockResolvedValue([{ result: { html: '<p>Soup</p>', scope: 'selector' } }]);
+
+    const job = await jobs.startExtractionJob(tab);
+    await settle();
+
+    expect(job.scope).toEqual({ type: jobs.SCOPE_TYPES.SELECTOR, selector: '#recipe' });
+    expect(chrome.scripting.executeScript).toHaveBeenCalledWith(expect.objectContaining({
+      target: { tabId: 7, allFrames: false },
+      args: [{ type: 'selector', selector: '#recipe' }]
+    }));
+  });
+
+  test('should record a fallback to the whole page when the block is missing', async () => {
+    stored.picked_selectors = { 'example.com': '#recipe' };
+
+    const job = await jobs.startExtractionJob(tab);
+    await settle();
+
+    expect(stored.extraction_jobs[job.id].scope).toEqual({ type: jobs.SCOPE_TYPES.PAGE });
+  });
+
+  test('should leave out frames whose script failed', async () => {
+    console.warn = jest.fn();
+    const { mergeFrameContents } = await import('./page-content.js');
+    chrome.scripting.executeScript.mockResolvedValue([
+      { frameId: 0, result: { html: '<p>Soup</p>', scope: 'page' } },
+      { frameId: 4, error: { message: 'Frame was removed' } }
+    ]);
+
+    const job = await jobs.startExtractionJob(tab);
+    await settle();
+
+    expect(stored.extraction_jobs[job.id].status).toBe(jobs.JOB_STATUS.DONE);
+    expect(mergeFrameContents).toHaveBeenCalledWith([{ frameId: 0, result: { html: '<p>Soup</p>', scope: 'page' } }]);
+    expect(console.warn).toHaveBeenCalledWith('Skipped frames that could not be read:', ['4: Frame was removed']);
+  });
+
+  test('should fail when the script fails in the top frame', async () => {
+    chrome.scripting.executeScript.mockResolvedValue([{ frameId: 0, error: 'Document is not ready' }]);
+
+    const job = await jobs.startExtractionJob(tab);
+    await settle();
+
+    expect(stored.extraction_jobs[job.id]).toMatchObject({
+      status: jobs.JOB_STATUS.ERROR,
+      error: 'Script execution failed: Document is not ready'
+    });
+  });
+
+  test('should fail with a hint when nothing is selected', async () => {
+    chrome.scripting.executeScript.mockResolvedValue([{ result: { html: '', scope: 'selection' } }]);
+
+    const job = await jobs.startExtractionJob(tab, { scope: { type: jobs.SCOPE_TYPES.SELECTION } });
+    await settle();
+
+    expect(stored.extraction_jobs[job.id].status).toBe(jobs.JOB_STATUS.ERROR);
+    expect(stored.extraction_jobs[job.id].error).toMatch(/^Nothing is selected/);
+  });
+});
+
+describe('startLinkExtractionJob', () => {
+  const linkUrl = 'https://example.com/stew';
+  let runOffscreenTask;
+
+  beforeEach(async () => {
+    ({ runOffscreenTask } = await import('./offscreen-client.js'));
+    runOffscreenTask.mockResolvedValue({
+      pageContent: { html: '<p>Stew</p>', scope: 'page', title: 'Beef stew' }
+    });
+    // Refuses what the manifest's CSP refuses, since the service worker is held to it
+    global.fetch = fetchUnderCsp(async () => ({
+      ok: true,
+      status: 200,
+      url: 'https://www.example.com/stew',
+      headers: { get: () => 'text/html; charset=utf-8' },
+      text: async () => '<html><body><p>Stew</p></body></html>'
+    }));
+  });
+
+  test('should be allowed by the manifest CSP to fetch any web page', () => {
+    expect(connectAllowed('https://recipes.example.org/stew')).toBe(true);
+    expect(connectAllowed('http://old-blog.example.net/2009/03/stew.html')).toBe(true);
+    expect(connectAllowed('ftp://example.com/stew')).toBe(false);
+  });
+
+  test('should fail without access to the linked site', async () => {
+    chrome.permissions.contains.mockResolvedValueOnce(false);
+
+    const job = await jobs.startLinkExtractionJob(linkUrl);
+    await settle();
+
+    expect(chrome.permissions.contains).toHaveBeenCalledWith({ origins: ['https://example.com/*'] });
+    expect(fetch).not.toHaveBeenCalled();
+    expect(stored.extraction_jobs[job.id]).toMatchObject({
+      status: jobs.JOB_STATUS.ERROR,
+      error: 'The extension has no access to example.com'
+    });
+  });
+
+  test('should fetch the page and read it in the offscreen document', async () => {
+    const job = await jobs.startLinkExtractionJob(linkUrl);
+    await settle();
+
+    const saved = stored.extraction_jobs[job.id];
+    expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+    expect(runOffscreenTask).toHaveBeenCalledWith('read-page', {
+      html: '<html><body><p>Stew</p></body></html>',
+      url: 'https://www.example.com/stew'
+    });
+    expect(processContent).toHaveBeenCalledWith(
+      { id: null, url: linkUrl, title: 'Beef stew' },
+      expect.objectContaining({ html: '<p>Stew</p>' }),
+      expect.anything()
+    );
+    expect(saved.status).toBe(jobs.JOB_STATUS.DONE);
+    expect(saved.title).toBe('Beef stew');
+    expect(saved.scope).toEqual({ type: jobs.SCOPE_TYPES.LINK });
+  });
+
+  test('should fail for links that are not web pages', async () => {
+    fetch.mockResolvedValue({ ok: true, status: 200, headers: { get: () => 'application/pdf' } });
+
+    const job = await jobs.startLinkExtractionJob(linkUrl);
+    await settle();
+
+    expect(stored.extraction_jobs[job.id].status).toBe(jobs.JOB_STATUS.ERROR);
+    expect(stored.extraction_jobs[job.id].error).toBe("The link doesn't point to a web page");
+    expect(runOffscreenTask).not.toHaveBeenCalled();
+  });
+
+  test('should resume without a tab', async () => {
+    const job = await jobs.startLinkExtractionJob(linkUrl);
+    stored.extraction_jobs = { [job.id]: { ...job, status: jobs.JOB_STATUS.READING } };
+    jest.resetModules();
+    jobs = await import('./extraction-jobs.js');
+    ({ processContent } = await import('./extension-functions.js'));
+    processContent.mockResolvedValue({ title: 'Stew' });
+    ({ runOffscreenTask } = await import('./offscreen-client.js'));
+    runOffscreenTask.mockResolvedValue({ pageContent: { html: '<p>Stew</p>', scope: 'page' } });
+
+    await jobs.resumeInterruptedJobs();
+    await settle();
+
+    expect(chrome.tabs.get).not.toHaveBeenCalled();
+    expect(stored.extraction_jobs[job.id].status).toBe(jobs.JOB_STATUS.DONE);
+  });
+});
+
+describe('result cache', () => {
+  test('should reuse the cached result for unchanged content unless forced', async () => {
+    const first = await jobs.startExtractionJob(tab);
+    await settle();
+    const other = await jobs.startExtractionJob({ ...tab, id: 8 });
+    await settle();
+
+    expect(processContent).toHaveBeenCalledTimes(1);
+    expect(stored.extraction_jobs[other.id].result).toEqual({ title: 'Soup' });
+    expect(stored.extraction_jobs[other.id].cachedAt).toEqual(expect.any(Number));
+
+    const forced = await jobs.startExtractionJob(tab, { force: true });
+    await settle();
+
+    expect(processContent).toHaveBeenCalledTimes(2);
+    expect(stored.extraction_jobs[forced.id].cachedAt).toBeNull();
+  });
+});
+
+describe('cancelExtractionJob', () => {
+  test('should abort the running job and let the popup start over', async () => {
+    processContent.mockImplementation((tab, pageContent, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    const listener = jest.fn();
+    jobs.onJobFinished(listener);
+
+    const job = await jobs.startExtractionJob(tab);
+    await settle();
+    const cancelled = await jobs.cancelExtractionJob(job.id);
+    await settle();
+
+    expect(cancelled.status).toBe(jobs.JOB_STATUS.CANCELLED);
+    expect(stored.extraction_jobs[job.id].status).toBe(jobs.JOB_STATUS.CANCELLED);
+    expect(processContent.mock.calls[0][2].signal.aborted).toBe(true);
+    expect(listener).not.toHaveBeenCalled();
+
+    const next = await jobs.startExtractionJob(tab);
+    expect(next.id).not.toBe(job.id);
+  });
+
+  test('should not finish a job cancelled while its cached result is looked up', async () => {
+    await jobs.startExtractionJob(tab);
+    await settle();
+
+    // A fresh service worker has to load the cache from storage; hold that load
+    jest.resetModules();
+    jobs = await import('./extraction-jobs.js');
+    let releaseCache;
+    const cacheLoaded = new Promise((resolve) => {
+      releaseCache = resolve;
+    });
+    const get = chrome.storage.local.get.getMockImplementation();
+    chrome.storage.local.get.mockImplementation(async (key) => {
+      if (key === 'result_cache') {
+        await cacheLoaded;
+      }
+      return get(key);
+    });
+
+    const job = await jobs.startExtractionJob({ ...tab, id: 8 });
+    await settle();
+    await jobs.cancelExtractionJob(job.id);
+    releaseCache();
+    await settle();
+
+    expect(stored.extraction_jobs[job.id].status).toBe(jobs.JOB_STATUS.CANCELLED);
+    expect(stored.extraction_jobs[job.id].result).toBeNull();
+    chrome.storage.local.get.mockImplementation(get);
+  });
+});
+
+describe('onJobFinished', () => {
+  test('should report finished jobs once', async () => {
+    const listener = jest.fn();
+    jobs.onJobFinished(listener);
+
+    const job = await jobs.startExtractionJob(tab);
+    await settle();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ id: job.id, status: 'done' }));
+  });
+
+  test('should not report a heuristic result again when the API result replaces it', async () => {
+    chrome.alarms = { create: jest.fn().mockResolvedValue(undefined), clear: jest.fn().mockResolvedValue(true) };
+    try {
+      const { requestRecipe } = await import('./extension-functions.js');
+      const { processQueue } = await import('./request-queue.js');
+      processContent.mockResolvedValue({ title: 'Soup', source: 'heuristic' });
+      requestRecipe.mockResolvedValue({ title: 'Tomato soup', ingredients: ['2 cups stock'] });
+      const listener = jest.fn();
+      jobs.onJobFinished(listener);
+
+      const job = await jobs.startExtractionJob(tab);
+      await settle();
+      expect(stored.request_queue).toHaveLength(1);
+
+      await processQueue({ all: true });
+      await settle();
+
+      expect(stored.extraction_jobs[job.id].result.title).toBe('Tomato soup');
+      expect(listener).toHaveBeenCalledTimes(1);
+    } finally {
+      delete chrome.alarms;
+    }
+  });
+});
+
+describe('resumeInterruptedJobs', () => {
+  test('should rerun jobs whose tab is still open and fail the rest', async () => {
+    stored.extraction_jobs = {
+      a: { id: 'a', tabId: 7, url: tab.url, status: 'extracting', createdAt: 1 },
+      b: { id: 'b', tabId: 8, url: 'https://example.com/gone', status: 'reading', createdAt: 2 }
+    };
+    chrome.tabs.get.mockImplementation(async (tabId) => {
+      if (tabId === 7) return tab;
+      throw new Error('No tab with id');
+    });
+
+    await jobs.resumeInterruptedJobs();
+    await settle();
+
+    expect(stored.extraction_jobs.a.status).toBe(jobs.JOB_STATUS.DONE);
+    expect(stored.extraction_jobs.b.status).toBe(jobs.JOB_STATUS.ERROR);
+  });
+});
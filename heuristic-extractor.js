@@ -0,0 +1,149 @@
+// heuristic-extractor.js - Offline recipe extraction from cleaned HTML
+import { normalizeRecipe } from "./recipe-normalizer.js";
+
+// A leading quantity: "2", "1 1/2", "1/2", "0.5", "2-3", "½", "1½"
+const QUANTITY_PATTERN =
+  /^\s*(?:\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?\s*[¼½¾⅓⅔⅛⅜⅝⅞]?|[¼½¾⅓⅔⅛⅜⅝⅞])(?:\s*(?:-|–|to)\s*\d+(?:[.,]\d+)?)?/;
+
+// Units commonly written right after the quantity, metric and imperial
+const UNIT_PATTERN =
+  /^\s*(?:cups?|c\.|tablespoons?|tbsps?\.?|tbs\.?|T\b|teaspoons?|tsps?\.?|t\b|fl\.?\s*oz|fluid ounces?|ounces?|oz\.?|pounds?|lbs?\.?|pints?|pt\.?|quarts?|qts?\.?|gallons?|gal\.?|grams?|g\b|kilograms?|kg\b|milligrams?|mg\b|millilit(?:er|re)s?|ml\b|lit(?:er|re)s?|l\b|cl\b|dl\b|pinch(?:es)?|dash(?:es)?|cloves?|cans?|sticks?|slices?|bunch(?:es)?|sprigs?|handfuls?|large|medium|small)\b/i;
+
+const STEP_PREFIX = /^\s*(?:step\s*)?\d+\s*[.):-]\s+/i;
+const MIN_STEP_LENGTH = 25;
+
+/**
+ * Guess a recipe from the cleaned HTML produced by extractPageContent.
+ * Used when the recipe API can't be reached, so the result is marked
+ * as low confidence.
+ * @param {string} html - Cleaned page HTML
+ * @returns {Object|null} Normalized recipe, or null if nothing recipe-like was found
+ */
+export function extractRecipeHeuristically(html) {
+  if (!html) {
+    return null;
+  }
+
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const ingredientLists = findIngredientLists(doc);
+  const ingredients = ingredientLists.flatMap(listItems);
+  const instructions = findInstructions(doc, ingredientLists);
+
+  if (ingredients.length === 0 && instructions.length === 0) {
+    return null;
+  }
+
+  const heading = doc.querySelector("h1");
+  const recipe = normalizeRecipe(
+    {
+      name: heading ? heading.textContent : doc.title,
+      image: findMainImage(doc),
+      recipeIngredient: ingredients,
+      recipeInstructions: instructions,
+    },
+    "heuristic",
+  );
+  recipe.confidence = "low";
+  return recipe;
+}
+
+/**
+ * Check whether a line reads like an ingredient ("2 cups flour", "½ tsp salt")
+ * @param {string} text - A single list item
+ * @returns {boolean}
+ */
+export function looksLikeIngredient(text) {
+  const match = QUANTITY_PATTERN.exec(text);
+  if (!match || text.length > 150) {
+    return false;
+  }
+  const rest = text.slice(match[0].length);
+  // Either a known unit or a countable item ("2 eggs")
+  return UNIT_PATTERN.test(rest) || /^\s*[a-z]/i.test(rest);
+}
+
+/**
+ * Find lists whose items are mostly quantity + unit lines
+ * @param {Document} doc - Parsed page
+ * @returns {Array<Element>} Matching lists in document order
+ */
+function findIngredientLists(doc) {
+  return Array.from(doc.querySelectorAll("ul, ol")).filter((list) => {
+    const items = listItems(list);
+    if (items.length < 2) {
+      return false;
+    }
+    const matches = items.filter(looksLikeIngredient).length;
+    const threshold = followsHeading(list, /ingredient/i) ? 0.4 : 0.6;
+    return matches / items.length >= threshold;
+  });
+}
+
+/**
+ * Find numbered instruction steps, preferring an ordered list of long items
+ * and falling back to paragraphs that start with "1.", "Step 2:" and so on
+ * @param {Document} doc - Parsed page
+ * @param {Array<Element>} ingredientLists - Lists already claimed as ingredients
+ * @returns {Array<string>} Steps in order
+ */
+function findInstructions(doc, ingredientLists) {
+  const candidates = Array.from(doc.querySelectorAll("ol, ul"))
+    .filter((list) => !ingredientLists.includes(list))
+    .filter((list) => list.tagName === "OL" || followsHeading(list, /instruction|direction|method|step/i))
+    .map((list) => listItems(list))
+    .filter((items) => items.length >= 2 && average(items.map((item) => item.length)) >= MIN_STEP_LENGTH);
+
+  if (candidates.length > 0) {
+    // The longest block of prose is the most likely method section
+    return candidates.reduce((best, items) => (totalLength(items) > totalLength(best) ? items : best));
+  }
+
+  const numbered = Array.from(doc.querySelectorAll("p, div"))
+    .filter((el) => el.children.length === 0)
+    .map((el) => el.textContent.trim())
+    .filter((text) => STEP_PREFIX.test(text) && text.length >= MIN_STEP_LENGTH)
+    .map((text) => text.replace(STEP_PREFIX, ""));
+
+  return numbered.length >= 2 ? numbered : [];
+}
+
+/**
+ * Pick the largest image reference left in the cleaned HTML
+ * @param {Document} doc - Parsed page
+ * @returns {string} Image URL, or an empty string
+ */
+function findMainImage(doc) {
+  const area = (img) => (parseInt(img.getAttribute("width"), 10) || 0) * (parseInt(img.getAttribute("height"), 10) || 0);
+  const images = Array.from(doc.querySelectorAll("img[src]"));
+  if (images.length === 0) {
+    return "";
+  }
+  const largest = images.reduce((best, img) => (area(img) > area(best) ? img : best));
+  return largest.getAttribute("srcset") || largest.getAttribute("src");
+}
+
+function followsHeading(element, pattern) {
+  let sibling = element.previousElementSibling;
+  // Look back a couple of siblings to skip intro paragraphs under the heading
+  for (let i = 0; sibling && i < 3; i++, sibling = sibling.previousElementSibling) {
+    if (/^H[1-6]$/.test(sibling.tagName) || sibling.tagName === "STRONG") {
+      return pattern.test(sibling.textContent);
+    }
+  }
+  return false;
+}
+
+function listItems(list) {
+  return Array.from(list.children)
+    .filter((child) => child.tagName === "LI")
+    .map((item) => item.textContent.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+function totalLength(items) {
+  return items.reduce((sum, item) => sum + item.length, 0);
+}
+
+function average(values) {
+  return values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
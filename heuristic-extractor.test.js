@@ -0,0 +1,80 @@
+import { extractRecipeHeuristically, looksLikeIngredient } from './heuristic-extractor.js';
+
+describe('looksLikeIngredient', () => {
+  test('should accept quantity and unit lines', () => {
+    expect(looksLikeIngredient('2 cups flour')).toBe(true);
+    expect(looksLikeIngredient('1 1/2 tbsp olive oil')).toBe(true);
+    expect(looksLikeIngredient('½ tsp salt')).toBe(true);
+    expect(looksLikeIngredient('200 g butter')).toBe(true);
+    expect(looksLikeIngredient('3 eggs')).toBe(true);
+  });
+
+  test('should reject prose and navigation items', () => {
+    expect(looksLikeIngredient('Home')).toBe(false);
+    expect(looksLikeIngredient('Preheat the oven to 180C.')).toBe(false);
+  });
+});
+
+describe('extractRecipeHeuristically', () => {
+  test('should find ingredient and instruction lists', () => {
+    const html = `
+      <html><body>
+        <ul><li>Home</li><li>Recipes</li><li>About</li></ul>
+        <h1>Simple Bread</h1>
+        <img src="https://example.com/logo.png" width="120" height="100">
+        <img src="https://example.com/bread.jpg" srcset="https://example.com/bread-large.jpg" width="800" height="600">
+        <h2>Ingredients</h2>
+        <ul>
+          <li>500 g flour</li>
+          <li>1 tsp salt</li>
+          <li>7 g dried yeast</li>
+          <li>Water, as needed</li>
+        </ul>
+        <h2>Method</h2>
+        <ol>
+          <li>Mix the flour, salt and yeast in a large bowl.</li>
+          <li>Add water gradually and knead for ten minutes.</li>
+          <li>Bake at 220C for 30 minutes until golden.</li>
+        </ol>
+      </body></html>
+    `;
+
+    const recipe = extractRecipeHeuristically(html);
+
+    expect(recipe.source).toBe('heuristic');
+    expect(recipe.confidence).toBe('low');
+    expect(recipe.title).toBe('Simple Bread');
+    expect(recipe.image).toBe('https://example.com/bread-large.jpg');
+    expect(recipe.ingredients).toEqual([
+      '500 g flour',
+      '1 tsp salt',
+      '7 g dried yeast',
+      'Water, as needed'
+    ]);
+    expect(recipe.instructions.map((step) => step.text)).toEqual([
+      'Mix the flour, salt and yeast in a large bowl.',
+      'Add water gradually and knead for ten minutes.',
+      'Bake at 220C for 30 minutes until golden.'
+    ]);
+  });
+
+  test('should fall back to numbered paragraphs for instructions', () => {
+    const html = `
+      <ul><li>2 cups rice</li><li>4 cups water</li></ul>
+      <p>1. Rinse the rice until the water runs clear.</p>
+      <p>2. Simmer covered for eighteen minutes, then rest.</p>
+    `;
+
+    const recipe = extractRecipeHeuristically(html);
+
+    expect(recipe.instructions.map((step) => step.text)).toEqual([
+      'Rinse the rice until the water runs clear.',
+      'Simmer covered for eighteen minutes, then rest.'
+    ]);
+  });
+
+  test('should return null for pages without recipe structure', () => {
+    expect(extractRecipeHeuristically('<p>Just an article.</p>')).toBeNull();
+    expect(extractRecipeHeuristically(null)).toBeNull();
+  });
+});
@@ -0,0 +1,184 @@
+// ingredient-parser.js - Split free-text ingredient lines into structured parts
+
+const UNICODE_FRACTIONS = {
+  "¼": "1/4",
+  "½": "1/2",
+  "¾": "3/4",
+  "⅓": "1/3",
+  "⅔": "2/3",
+  "⅕": "1/5",
+  "⅖": "2/5",
+  "⅗": "3/5",
+  "⅘": "4/5",
+  "⅙": "1/6",
+  "⅚": "5/6",
+  "⅛": "1/8",
+  "⅜": "3/8",
+  "⅝": "5/8",
+  "⅞": "7/8",
+};
+
+/**
+ * Canonical unit names and the spellings that map to them.
+ * Single-letter aliases are matched case-sensitively ("T" vs "t").
+ */
+export const UNIT_ALIASES = {
+  cup: ["cups", "cup", "c"],
+  tbsp: ["tablespoons", "tablespoon", "tbsps", "tbsp", "tbls", "tbl", "tbs", "T"],
+  tsp: ["teaspoons", "teaspoon", "tsps", "tsp", "t"],
+  "fl oz": ["fluid ounces", "fluid ounce", "fl. oz", "fl oz", "floz"],
+  oz: ["ounces", "ounce", "oz"],
+  lb: ["pounds", "pound", "lbs", "lb"],
+  pint: ["pints", "pint", "pts", "pt"],
+  quart: ["quarts", "quart", "qts", "qt"],
+  gallon: ["gallons", "gallon", "gal"],
+  mg: ["milligrams", "milligram", "mg"],
+  g: ["grammes", "gramme", "grams", "gram", "gr", "g"],
+  kg: ["kilograms", "kilogram", "kilos", "kilo", "kg"],
+  ml: ["millilitres", "milliliters", "millilitre", "milliliter", "ml", "mL"],
+  cl: ["centilitres", "centiliters", "centilitre", "centiliter", "cl"],
+  dl: ["decilitres", "deciliters", "decilitre", "deciliter", "dl"],
+  l: ["litres", "liters", "litre", "liter", "l", "L"],
+  pinch: ["pinches", "pinch"],
+  dash: ["dashes", "dash"],
+  clove: ["cloves", "clove"],
+  can: ["cans", "can", "tins", "tin"],
+  stick: ["sticks", "stick"],
+  slice: ["slices", "slice"],
+  bunch: ["bunches", "bunch"],
+  sprig: ["sprigs", "sprig"],
+  handful: ["handfuls", "handful"],
+  package: ["packages", "package", "packets", "packet", "pkgs", "pkg"],
+  piece: ["pieces", "piece", "pcs", "pc"],
+};
+
+// Words that describe how an ingredient is prepared rather than what it is
+const PREPARATION_WORDS = new Set([
+  "finely", "roughly", "coarsely", "thinly", "thickly", "freshly", "lightly",
+  "chopped", "diced", "minced", "sliced", "grated", "shredded", "crushed",
+  "melted", "softened", "peeled", "beaten", "sifted", "toasted", "julienned",
+  "cubed", "halved", "quartered", "trimmed", "rinsed", "drained", "packed",
+  "cooked", "mashed", "zested", "juiced", "pitted", "seeded", "cored", "and",
+]);
+
+const NUMBER = String.raw`\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?`;
+const QUANTITY_PATTERN = new RegExp(
+  String.raw`^(${NUMBER})(?:\s*(?:-|–|—|to|or)\s*(${NUMBER}))?`,
+  "i",
+);
+
+const UNIT_LOOKUP = Object.entries(UNIT_ALIASES)
+  .flatMap(([unit, aliases]) => aliases.map((alias) => [alias, unit]))
+  .sort(([a], [b]) => b.length - a.length);
+
+/**
+ * Parse one ingredient line.
+ * "1 1/2 cups finely chopped onion (about 2)" becomes
+ * { quantity: 1.5, unit: "cup", item: "onion", preparation: "finely chopped", note: "about 2" }
+ * @param {string} line - Free-text ingredient
+ * @returns {Object} Parsed ingredient; `quantityMax` is set for ranges ("2–3")
+ */
+export function parseIngredient(line) {
+  const text = String(line || "").trim();
+  let rest = normalizeFractions(text);
+
+  const parsed = {
+    text,
+    quantity: null,
+    quantityMax: null,
+    unit: null,
+    item: "",
+    preparation: "",
+    note: "",
+  };
+
+  const quantityMatch = QUANTITY_PATTERN.exec(rest);
+  if (quantityMatch) {
+    parsed.quantity = parseNumber(quantityMatch[1]);
+    parsed.quantityMax = quantityMatch[2] ? parseNumber(quantityMatch[2]) : null;
+    rest = rest.slice(quantityMatch[0].length);
+  } else if (/^an?\s/i.test(rest)) {
+    // "a pinch of salt", "an onion"
+    parsed.quantity = 1;
+    rest = rest.replace(/^an?\s+/i, "");
+  }
+
+  // Parenthetical asides become the note: "(about 2)", "(14 oz)"
+  const notes = [];
+  rest = rest.replace(/\(([^)]*)\)/g, (match, note) => {
+    notes.push(note.trim());
+    return " ";
+  });
+  parsed.note = notes.filter(Boolean).join("; ");
+
+  if (parsed.quantity !== null) {
+    const unitMatch = matchUnit(rest);
+    if (unitMatch) {
+      parsed.unit = unitMatch.unit;
+      rest = rest.slice(unitMatch.length).replace(/^\s*of\s+/i, "");
+    }
+  }
+
+  // "onion, finely chopped" puts the preparation after a comma
+  const [itemPart, ...trailing] = rest.split(",");
+  const words = itemPart.trim().split(/\s+/).filter(Boolean);
+  const leading = [];
+  while (words.length > 1 && PREPARATION_WORDS.has(words[0].toLowerCase())) {
+    leading.push(words.shift());
+  }
+
+  parsed.item = words.join(" ");
+  parsed.preparation = [leading.join(" "), ...trailing.map((part) => part.trim())]
+    .filter(Boolean)
+    .join(", ");
+
+  return parsed;
+}
+
+/**
+ * Attach parsed ingredients to a normalized recipe
+ * @param {Object} recipe - Normalized recipe
+ * @returns {Object} Copy of the recipe with `parsedIngredients`
+ */
+export function parseRecipeIngredients(recipe) {
+  return {
+    ...recipe,
+    parsedIngredients: (recipe.ingredients || []).map(parseIngredient),
+  };
+}
+
+function normalizeFractions(text) {
+  return text
+    .replace(/[¼½¾⅓⅔⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞]/g, (char) => ` ${UNICODE_FRACTIONS[char]}`)
+    .replace(/⁄/g, "/")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function parseNumber(value) {
+  const parts = value.trim().split(/\s+/);
+  return parts.reduce((total, part) => {
+    if (part.includes("/")) {
+      const [numerator, denominator] = part.split("/").map(Number);
+      return total + (denominator ? numerator / denominator : 0);
+    }
+    return total + parseFloat(part.replace(",", "."));
+  }, 0);
+}
+
+function matchUnit(text) {
+  const trimmed = text.replace(/^\s+/, "");
+  const offset = text.length - trimmed.length;
+
+  for (const [alias, unit] of UNIT_LOOKUP) {
+    const candidate = trimmed.slice(0, alias.length);
+    const matches =
+      alias.length === 1 ? candidate === alias : candidate.toLowerCase() === alias.toLowerCase();
+    // The alias must end the word: "g" in "200 g" but not in "2 garlic"
+    if (matches && !/^[a-z]/i.test(trimmed.slice(alias.length))) {
+      const dot = trimmed[alias.length] === "." ? 1 : 0;
+      return { unit, length: offset + alias.length + dot };
+    }
+  }
+  return null;
+}
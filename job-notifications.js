@@ -0,0 +1,81 @@
+// job-notifications.js - Desktop notifications for extraction jobs that finish in the background
+import {
+  getJob,
+  startExtractionJob,
+  startLinkExtractionJob,
+  JOB_STATUS,
+  SCOPE_TYPES,
+} from "./extraction-jobs.js";
+import { saveRecipe } from "./recipe-library.js";
+
+// Notification ids look like "extraction-job:<job id>"
+const NOTIFICATION_PREFIX = "extraction-job:";
+
+/**
+ * Show a notification for a finished job, unless the popup is open to show it.
+ * Jobs of a batch are announced together by batch-extraction.js instead.
+ * @param {Object} job - The finished job
+ * @returns {Promise<void>}
+ */
+export async function notifyJobFinished(job) {
+  if (job.batchId) {
+    return;
+  }
+
+  try {
+    const popups = await chrome.runtime.getContexts({ contextTypes: ["POPUP"] });
+    if (popups.length > 0) {
+      return; // The popup renders the result itself
+    }
+
+    const succeeded = job.status === JOB_STATUS.DONE;
+    await chrome.notifications.create(`${NOTIFICATION_PREFIX}${job.id}`, {
+      type: "basic",
+      iconUrl: "icon.png",
+      title: succeeded ? "Recipe ready" : "Recipe extraction failed",
+      message: succeeded
+        ? job.result.title || job.title || job.url
+        : `${job.title || job.url}: ${job.error}`,
+      buttons: succeeded
+        ? [{ title: "Open recipe" }, { title: "Save to library" }]
+        : [{ title: "Retry" }],
+    });
+  } catch (error) {
+    console.error("Failed to show job notification:", error);
+  }
+}
+
+/**
+ * Handle a click on a job notification or its button: open or save a
+ * finished recipe, or retry a failed extraction
+ * @param {string} notificationId - Notification id
+ * @param {number} [buttonIndex] - The button clicked, if any
+ * @returns {Promise<void>}
+ */
+export async function handleJobNotificationClick(notificationId, buttonIndex) {
+  if (!notificationId.startsWith(NOTIFICATION_PREFIX)) {
+    return;
+  }
+  chrome.notifications.clear(notificationId);
+
+  const job = await getJob(notificationId.slice(NOTIFICATION_PREFIX.length));
+  if (!job) {
+    return; // Expired, or its tab was closed
+  }
+
+  if (job.status === JOB_STATUS.DONE && buttonIndex === 1) {
+    await saveRecipe({ recipe: job.result, url: job.url, tabTitle: job.title, extractedAt: job.finishedAt });
+  } else if (job.status === JOB_STATUS.DONE) {
+    chrome.tabs.create({ url: chrome.runtime.getURL(`recipe.html?job=${encodeURIComponent(job.id)}`) });
+  } else if (job.status === JOB_STATUS.ERROR && job.scope && job.scope.type === SCOPE_TYPES.LINK) {
+    await startLinkExtractionJob(job.url);
+  } else if (job.status === JOB_STATUS.ERROR) {
+    const tab = await chrome.tabs.get(job.tabId).catch(() => null);
+    if (tab && tab.url === job.url) {
+      await startExtractionJob(tab, { force: true });
+    } else {
+      // We may only read pages the user opened the popup on, so send them back there
+      chrome.tabs.create({ url: job.url });
+    }
+  }
+}
@@ -0,0 +1,147 @@
+// library-view.js - Browse, open and delete saved recipes in the popup
+import { listRecipes, getRecipe, deleteRecipe, searchRecipes } from "./recipe-library.js";
+import { renderRecipeCard } from "./recipe-card.js";
+import { convertRecipe, UNIT_SYSTEMS } from "./unit-conversion.js";
+import { getPreference, PREFERENCE_KEYS } from "./preferences.js";
+
+let searchInput;
+let listElement;
+let detailElement;
+let detailContentElement;
+let sourceLinkElement;
+
+/**
+ * Look up the library view elements and wire up its buttons
+ */
+export function initLibraryView() {
+  searchInput = document.getElementById("library-search");
+  listElement = document.getElementById("library-list");
+  detailElement = document.getElementById("library-detail");
+  detailContentElement = document.getElementById("library-detail-content");
+  sourceLinkElement = document.getElementById("library-source-link");
+
+  document.getElementById("library-back-button").addEventListener("click", showLibrary);
+  searchInput.addEventListener("input", () => showLibrary());
+}
+
+/**
+ * Show the list of saved recipes
+ * @returns {Promise<void>}
+ */
+export async function showLibrary() {
+  detailElement.style.display = "none";
+  listElement.style.display = "block";
+  searchInput.style.display = "block";
+
+  const query = searchInput.value.trim();
+  try {
+    const records = query ? await searchRecipes(query) : await listRecipes();
+    // Typing fast can resolve searches out of order; only render the latest
+    if (query === searchInput.value.trim()) {
+      renderList(records, query);
+    }
+  } catch (error) {
+    console.error("Failed to load recipe library:", error);
+    listElement.textContent = "Could not load saved recipes.";
+  }
+}
+
+/**
+ * Render the saved recipe list
+ * @param {Array<Object>} records - Library records, newest or best match first
+ * @param {string} query - The search query the records match, if any
+ */
+function renderList(records, query) {
+  listElement.innerHTML = "";
+
+  if (records.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "library-empty";
+    empty.textContent = query
+      ? `No saved recipes match "${query}".`
+      : "No saved recipes yet. Use Save on an extracted recipe to keep it here.";
+    listElement.appendChild(empty);
+    return;
+  }
+
+  records.forEach((record) => {
+    const item = document.createElement("div");
+    item.className = "library-item";
+
+    const info = document.createElement("div");
+    info.className = "library-item-info";
+    const title = document.createElement("strong");
+    title.textContent = record.title;
+    const meta = document.createElement("small");
+    meta.textContent = `${hostname(record.url)} · saved ${new Date(record.savedAt).toLocaleDateString()}`;
+    info.appendChild(title);
+    info.appendChild(meta);
+
+    const openButton = document.createElement("button");
+    openButton.textContent = "Open";
+    openButton.addEventListener("click", () => openRecipe(record.id));
+
+    const deleteButton = document.createElement("button");
+    deleteButton.className = "delete-button";
+    deleteButton.textContent = "Delete";
+    deleteButton.addEventListener("click", () => removeRecipe(record));
+
+    item.appendChild(info);
+    item.appendChild(openButton);
+    item.appendChild(deleteButton);
+    listElement.appendChild(item);
+  });
+}
+
+/**
+ * Show one saved recipe, in the user's preferred units
+ * @param {string} id - Library id
+ */
+async function openRecipe(id) {
+  detailContentElement.innerHTML = "";
+  try {
+    const record = await getRecipe(id);
+    if (!record) {
+      await showLibrary();
+      return;
+    }
+
+    const unitSystem = await getPreference(PREFERENCE_KEYS.UNIT_SYSTEM, UNIT_SYSTEMS.ORIGINAL);
+    detailContentElement.appendChild(renderRecipeCard(convertRecipe(record.recipe, unitSystem)));
+    sourceLinkElement.href = record.url;
+    sourceLinkElement.style.display = "inline";
+  } catch (error) {
+    console.error("Failed to open saved recipe:", error);
+    detailContentElement.textContent = "Could not open this recipe.";
+    sourceLinkElement.style.display = "none";
+  }
+
+  listElement.style.display = "none";
+  searchInput.style.display = "none";
+  detailElement.style.display = "block";
+}
+
+/**
+ * Delete a saved recipe after confirmation
+ * @param {Object} record - Library record
+ */
+async function removeRecipe(record) {
+  if (!confirm(`Delete "${record.title}" from your library?`)) {
+    return;
+  }
+
+  try {
+    await deleteRecipe(record.id);
+  } catch (error) {
+    console.error("Failed to delete recipe:", error);
+  }
+  await showLibrary();
+}
+
+function hostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return url || "";
+  }
+}
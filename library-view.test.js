@@ -0,0 +1,67 @@
+import { initLibraryView, showLibrary } from './library-view.js';
+import { listRecipes, getRecipe } from './recipe-library.js';
+
+jest.mock('./recipe-library.js', () => ({
+  listRecipes: jest.fn(),
+  getRecipe: jest.fn(),
+  deleteRecipe: jest.fn(),
+  searchRecipes: jest.fn()
+}));
+jest.mock('./preferences.js', () => ({
+  getPreference: jest.fn().mockResolvedValue('original'),
+  PREFERENCE_KEYS: { UNIT_SYSTEM: 'pref_unit_system' }
+}));
+
+const record = {
+  id: 'soup',
+  title: 'Tomato soup',
+  url: 'https://example.com/soup',
+  savedAt: 1,
+  recipe: { title: 'Tomato soup', ingredients: ['2 cups stock'], instructions: [] }
+};
+
+// Wait for the Open button's handler to finish
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  console.error = jest.fn();
+  document.body.innerHTML = `
+    <input id="library-search">
+    <div id="library-list"></div>
+    <div id="library-detail" style="display: none">
+      <button id="library-back-button"></button>
+      <a id="library-source-link"></a>
+      <div id="library-detail-content"></div>
+    </div>
+  `;
+  listRecipes.mockResolvedValue([record]);
+  initLibraryView();
+  await showLibrary();
+});
+
+const openButton = () => [...document.querySelectorAll('#library-list button')]
+  .find((button) => button.textContent === 'Open');
+
+describe('library view', () => {
+  test('should open a saved recipe', async () => {
+    getRecipe.mockResolvedValue(record);
+
+    openButton().click();
+    await settle();
+
+    expect(document.getElementById('library-detail').style.display).toBe('block');
+    expect(document.getElementById('library-detail-content').textContent).toContain('2 cups stock');
+  });
+
+  test('should say so when a saved recipe cannot be read', async () => {
+    getRecipe.mockRejectedValue(new Error('IndexedDB is unavailable'));
+
+    openButton().click();
+    await settle();
+
+    expect(document.getElementById('library-detail').style.display).toBe('block');
+    expect(document.getElementById('library-detail-content').textContent).toBe('Could not open this recipe.');
+    expect(console.error).toHaveBeenCalled();
+  });
+});
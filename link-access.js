@@ -0,0 +1,46 @@
+// link-access.js - Ask for access to a linked page's site, for the context menu's
+// "Extract recipe from linked page" when its own permission prompt can't be shown
+
+document.addEventListener("DOMContentLoaded", () => {
+  initLinkAccess(new URLSearchParams(location.search).get("url"));
+});
+
+/**
+ * Ask for the site's host access on click, then start extracting the link
+ * @param {string} url - The linked page
+ */
+export function initLinkAccess(url) {
+  const messageElement = document.getElementById("access-message");
+  const allowButton = document.getElementById("access-allow-button");
+  document.getElementById("access-cancel-button").addEventListener("click", () => window.close());
+
+  let link;
+  try {
+    link = new URL(url);
+  } catch (error) {
+    messageElement.textContent = "This link can't be read.";
+    allowButton.style.display = "none";
+    return;
+  }
+  document.getElementById("access-host").textContent = link.hostname;
+
+  allowButton.addEventListener("click", async () => {
+    try {
+      const granted = await chrome.permissions.request({ origins: [`${link.origin}/*`] });
+      if (!granted) {
+        messageElement.textContent = `Without access to ${link.hostname}, its pages can't be read.`;
+        return;
+      }
+
+      const response = await chrome.runtime.sendMessage({ action: "extract-link", url: link.href });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      // The result arrives as a notification, like other context menu extractions
+      window.close();
+    } catch (error) {
+      console.error("Failed to extract the linked page:", error);
+      messageElement.textContent = error.message;
+    }
+  });
+}
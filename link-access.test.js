@@ -0,0 +1,55 @@
+import { initLinkAccess } from './link-access.js';
+
+global.chrome = {
+  permissions: {
+    request: jest.fn()
+  },
+  runtime: {
+    sendMessage: jest.fn()
+  }
+};
+
+// Wait for the Allow button's handler to finish
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  window.close = jest.fn();
+  document.body.innerHTML = `
+    <p id="access-message">Reading this linked page needs access to <strong id="access-host"></strong>.</p>
+    <button id="access-allow-button"></button>
+    <button id="access-cancel-button"></button>
+  `;
+});
+
+describe('link access', () => {
+  test('should extract the link once access is granted', async () => {
+    chrome.permissions.request.mockResolvedValue(true);
+    chrome.runtime.sendMessage.mockResolvedValue({ job: { id: 'job-1' } });
+    initLinkAccess('https://recipes.example.org/stew');
+
+    expect(document.getElementById('access-host').textContent).toBe('recipes.example.org');
+    document.getElementById('access-allow-button').click();
+    await settle();
+
+    expect(chrome.permissions.request).toHaveBeenCalledWith({ origins: ['https://recipes.example.org/*'] });
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({
+      action: 'extract-link',
+      url: 'https://recipes.example.org/stew'
+    });
+    expect(window.close).toHaveBeenCalled();
+  });
+
+  test('should stay open and explain when access is refused', async () => {
+    chrome.permissions.request.mockResolvedValue(false);
+    initLinkAccess('https://recipes.example.org/stew');
+
+    document.getElementById('access-allow-button').click();
+    await settle();
+
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+    expect(window.close).not.toHaveBeenCalled();
+    expect(document.getElementById('access-message').textContent)
+      .toBe("Without access to recipes.example.org, its pages can't be read.");
+  });
+});
@@ -1,10 +1,24 @@
 // main.js
 import {
-  extractPageContent,
-  processContent,
+  showResult,
   showError,
+  setUnitSystem,
+  getCurrentResult,
+  setCurrentLibraryId,
 } from "./extension-functions.js";
 
+import { JOB_STATUS, SCOPE_TYPES } from "./extraction-jobs.js";
+import { initLibraryView, showLibrary } from "./library-view.js";
+import { initQueueView, showQueue } from "./queue-view.js";
+import { initBatchView, showBatch } from "./batch-view.js";
+import { initRateLimitView } from "./rate-limit-view.js";
+import { saveRecipe } from "./recipe-library.js";
+
+import { getPreference, setPreference, PREFERENCE_KEYS } from "./preferences.js";
+import { UNIT_SYSTEMS, convertRecipe } from "./unit-conversion.js";
+import { recipeToMarkdown, exportFileName } from "./recipe-export.js";
+import { DEFAULT_CACHE_TTL } from "./result-cache.js";
+
 import {
   onAuthStateChanged,
   signInWithGoogle,
@@ -20,10 +34,35 @@ let authContainerElement;
 let signInButton;
 let authErrorElement;
 let statusElement;
+let statusMessageElement;
 let resultElement;
 let errorElement;
 let retryButton;
+let cancelButton;
+let idleElement;
 let tokenRefreshNotification;
+let unitSystemSelect;
+let saveButton;
+let refreshButton;
+let scopeNoticeElement;
+let cacheTtlSelect;
+
+// The background extraction job this popup is showing
+let currentJobId = null;
+
+// Shown with results that came from part of the page only
+const SCOPE_NOTICES = {
+  [SCOPE_TYPES.SELECTOR]: "Extracted from the block you picked on this site.",
+  [SCOPE_TYPES.SELECTION]: "Extracted from your text selection.",
+};
+
+// Status line shown while a job is running
+const JOB_PROGRESS_MESSAGES = {
+  [JOB_STATUS.READING]: "Reading page...",
+  [JOB_STATUS.EXTRACTING]: "Extracting recipe...",
+  [JOB_STATUS.QUEUED]: "Recipe API unreachable. Waiting to retry (see Queue)...",
+};
+const RATE_LIMITED_MESSAGE = "Rate limited by the recipe API. Your request is queued and will be retried automatically...";
 
 document.addEventListener("DOMContentLoaded", async () => {
   // Get references to DOM elements
@@ -33,16 +72,51 @@ document.addEventListener("DOMContentLoaded", async () => {
   signInButton = document.getElementById("sign-in-button");
   authErrorElement = document.getElementById("auth-error");
   statusElement = document.getElementById("status");
+  statusMessageElement = document.getElementById("status-message");
   resultElement = document.getElementById("result");
   errorElement = document.getElementById("error");
   retryButton = document.getElementById("retry-button");
+  cancelButton = document.getElementById("cancel-button");
+  idleElement = document.getElementById("idle");
   tokenRefreshNotification = document.getElementById("token-refresh-notification");
+  unitSystemSelect = document.getElementById("unit-system");
+  saveButton = document.getElementById("save-button");
+  refreshButton = document.getElementById("refresh-button");
+  scopeNoticeElement = document.getElementById("scope-notice");
+  cacheTtlSelect = document.getElementById("cache-ttl");
 
   // Set up event listeners
   signInButton.addEventListener("click", handleSignIn);
   retryButton.addEventListener("click", () => {
-    location.reload();
+    initRecipeExtraction({ force: true });
+  });
+  cancelButton.addEventListener("click", handleCancelExtraction);
+  // Skip the cache and ask for a fresh extraction
+  refreshButton.addEventListener("click", () => {
+    initRecipeExtraction({ force: true });
   });
+  cacheTtlSelect.addEventListener("change", handleCacheTtlChange);
+  document.getElementById("pick-button").addEventListener("click", handlePickElement);
+  document.getElementById("selection-button").addEventListener("click", () => {
+    initRecipeExtraction({ force: true, scope: { type: SCOPE_TYPES.SELECTION } });
+  });
+  document.getElementById("whole-page-button").addEventListener("click", handleUseWholePage);
+  unitSystemSelect.addEventListener("change", handleUnitSystemChange);
+  saveButton.addEventListener("click", handleSaveRecipe);
+  document.getElementById("export-button").addEventListener("click", handleExportRecipe);
+  document.querySelectorAll(".view-tab").forEach((tab) => {
+    tab.addEventListener("click", () => showView(tab.dataset.view));
+  });
+  initLibraryView();
+  initQueueView();
+  initBatchView();
+  initRateLimitView();
+
+  // Restore the preferred units before any result is rendered
+  const unitSystem = await getPreference(PREFERENCE_KEYS.UNIT_SYSTEM, UNIT_SYSTEMS.ORIGINAL);
+  unitSystemSelect.value = unitSystem;
+  setUnitSystem(unitSystem);
+  cacheTtlSelect.value = String(await getPreference(PREFERENCE_KEYS.CACHE_TTL, DEFAULT_CACHE_TTL));
 
   // Listen for token refresh events from background script
   chrome.runtime.onMessage.addListener(handleBackgroundMessages);
@@ -78,6 +152,137 @@ function handleBackgroundMessages(message, sender, sendResponse) {
     sendResponse({ received: true });
     return true;
   }
+
+  if (message.action === "extraction-job-updated" && message.job.id === currentJobId) {
+    renderJob(message.job);
+  }
+}
+
+/**
+ * Handle a change of the units dropdown
+ */
+function handleUnitSystemChange() {
+  const unitSystem = unitSystemSelect.value;
+  setUnitSystem(unitSystem);
+  setPreference(PREFERENCE_KEYS.UNIT_SYSTEM, unitSystem).catch((error) => {
+    console.error("Failed to save unit preference:", error);
+  });
+}
+
+/**
+ * Start the element picker in the page. The popup closes so the user can
+ * reach the page; the picked block is extracted in the background.
+ */
+function handlePickElement() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs || tabs.length === 0) {
+      showError("No active tab found");
+      return;
+    }
+
+    chrome.runtime.sendMessage({ action: "start-element-picker", tab: { id: tabs[0].id } }, (response) => {
+      if (chrome.runtime.lastError || !response || response.error) {
+        showError(response?.error || chrome.runtime.lastError?.message || "Failed to start the picker");
+        return;
+      }
+      window.close();
+    });
+  });
+}
+
+/**
+ * Forget the block picked on this site and extract from the whole page
+ */
+function handleUseWholePage() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (tabs && tabs[0]) {
+      chrome.runtime.sendMessage({ action: "forget-picked-selector", url: tabs[0].url });
+    }
+    initRecipeExtraction({ force: true, scope: { type: SCOPE_TYPES.PAGE } });
+  });
+}
+
+/**
+ * Say when a result was extracted from part of the page only
+ * @param {Object} job - Finished job
+ */
+function showScopeNotice(job) {
+  const notice = job.scope && SCOPE_NOTICES[job.scope.type];
+  scopeNoticeElement.style.display = notice ? "flex" : "none";
+  if (notice) {
+    document.getElementById("scope-notice-text").textContent = notice;
+  }
+}
+
+/**
+ * Handle a change of the cache lifetime dropdown
+ */
+function handleCacheTtlChange() {
+  setPreference(PREFERENCE_KEYS.CACHE_TTL, Number(cacheTtlSelect.value)).catch((error) => {
+    console.error("Failed to save cache preference:", error);
+  });
+}
+
+/**
+ * Switch between the extract and library views
+ * @param {string} viewId - Id of the view element to show
+ */
+function showView(viewId) {
+  document.querySelectorAll(".view").forEach((view) => {
+    view.style.display = view.id === viewId ? "block" : "none";
+  });
+  document.querySelectorAll(".view-tab").forEach((tab) => {
+    tab.classList.toggle("active", tab.dataset.view === viewId);
+  });
+
+  if (viewId === "library-view") {
+    showLibrary();
+  } else if (viewId === "queue-view") {
+    showQueue();
+  } else if (viewId === "batch-view") {
+    showBatch();
+  }
+}
+
+/**
+ * Save the displayed recipe (as currently scaled) to the library
+ */
+async function handleSaveRecipe() {
+  const result = getCurrentResult();
+  if (!result) return;
+
+  saveButton.disabled = true;
+  try {
+    const record = await saveRecipe(result);
+    // Saving again updates the same entry instead of adding a duplicate
+    setCurrentLibraryId(record.id);
+    saveButton.textContent = "Saved ✓";
+  } catch (error) {
+    console.error("Failed to save recipe:", error);
+    saveButton.textContent = "Save failed";
+  } finally {
+    saveButton.disabled = false;
+    setTimeout(() => {
+      saveButton.textContent = getCurrentResult()?.id ? "Update saved" : "Save";
+    }, 2000);
+  }
+}
+
+/**
+ * Download the displayed recipe as Markdown, with the servings and units shown
+ */
+function handleExportRecipe() {
+  const result = getCurrentResult();
+  if (!result) return;
+
+  const recipe = convertRecipe(result.recipe, unitSystemSelect.value);
+  const file = new Blob([recipeToMarkdown(recipe, { url: result.url })], { type: "text/markdown" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(file);
+  link.download = exportFileName(recipe);
+  link.click();
+  // Give the download a moment to start before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
 }
 
 /**
@@ -257,17 +462,20 @@ async function handleSignOut() {
 }
 
 /**
- * Initialize recipe extraction process
+ * Initialize recipe extraction process. The extraction itself runs as a job
+ * in the background; if the tab already has one, we reattach to it.
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Start a new job even if one exists
+ * @param {Object} [options.scope] - Part of the page to read, see SCOPE_TYPES;
+ *   the background picks a default if omitted
  */
-function initRecipeExtraction() {
+function initRecipeExtraction({ force = false, scope } = {}) {
   if (!isAuthenticated()) {
     return; // Safety check
   }
 
   // Show loading state
-  statusElement.style.display = "block";
-  resultElement.style.display = "none";
-  errorElement.style.display = "none";
+  showJobProgress("Computing...");
 
   // Check for required permissions
   chrome.permissions.contains(
@@ -287,30 +495,102 @@ function initRecipeExtraction() {
 
         const activeTab = tabs[0];
 
-        // Execute content script with error handling
-        chrome.scripting.executeScript(
+        chrome.runtime.sendMessage(
           {
-            target: { tabId: activeTab.id },
-            func: extractPageContent,
+            action: "start-extraction",
+            tab: { id: activeTab.id, url: activeTab.url, title: activeTab.title },
+            force,
+            scope,
           },
-          (results) => {
-            if (chrome.runtime.lastError) {
+          (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
               showError(
-                `Script execution failed: ${chrome.runtime.lastError.message}`,
+                response?.error || chrome.runtime.lastError?.message || "Failed to start extraction",
               );
               return;
             }
 
-            if (!results || !results[0] || !results[0].result) {
-              showError("Failed to extract page content");
-              return;
-            }
-
-            const htmlContent = results[0].result;
-            processContent(activeTab, htmlContent);
+            currentJobId = response.job.id;
+            renderJob(response.job);
           },
         );
       });
     }
   );
 }
+
+/**
+ * Show the state of an extraction job
+ * @param {Object} job - Job from the background (see extraction-jobs.js)
+ */
+function renderJob(job) {
+  if (job.status === JOB_STATUS.DONE) {
+    showResult(job.result, {
+      url: job.url,
+      tabTitle: job.title,
+      extractedAt: job.finishedAt,
+      cachedAt: job.cachedAt,
+    });
+    showScopeNotice(job);
+  } else if (job.status === JOB_STATUS.ERROR) {
+    showError(job.error);
+    // errorType is the api-client.js error class name
+    if (job.errorType === "AuthError") {
+      signOut().catch(console.error);
+    }
+  } else if (job.status === JOB_STATUS.CANCELLED) {
+    showCancelled();
+  } else if (job.status === JOB_STATUS.QUEUED && job.errorType === "RateLimitError") {
+    showJobProgress(RATE_LIMITED_MESSAGE);
+  } else {
+    showJobProgress(JOB_PROGRESS_MESSAGES[job.status] || "Computing...");
+  }
+}
+
+/**
+ * Cancel the running job; the background aborts page reading, compression
+ * and the API request
+ */
+function handleCancelExtraction() {
+  if (!currentJobId) {
+    return;
+  }
+
+  cancelButton.disabled = true;
+  chrome.runtime.sendMessage({ action: "cancel-extraction", jobId: currentJobId }, (response) => {
+    cancelButton.disabled = false;
+    if (chrome.runtime.lastError || !response || response.error) {
+      console.error("Failed to cancel extraction:", response?.error || chrome.runtime.lastError?.message);
+      return;
+    }
+    if (response.job) {
+      renderJob(response.job);
+    }
+  });
+}
+
+/**
+ * Show the idle state after a cancelled extraction, with a way to run it again
+ */
+function showCancelled() {
+  statusElement.style.display = "none";
+  resultElement.style.display = "none";
+  errorElement.style.display = "none";
+  idleElement.style.display = "block";
+  retryButton.textContent = "Extract again";
+  retryButton.style.display = "block";
+}
+
+/**
+ * Show the spinner with a status line
+ * @param {string} message - Status line
+ */
+function showJobProgress(message) {
+  statusMessageElement.textContent = message;
+  statusElement.style.display = "block";
+  resultElement.style.display = "none";
+  errorElement.style.display = "none";
+  idleElement.style.display = "none";
+  retryButton.style.display = "none";
+  retryButton.textContent = "Try Again";
+}
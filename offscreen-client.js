@@ -0,0 +1,44 @@
+// offscreen-client.js - Hand DOM work from the service worker to the offscreen document
+
+const OFFSCREEN_URL = "offscreen.html";
+
+// Set while the document is being created, so concurrent callers share it
+let creatingDocument = null;
+
+/**
+ * Run a task in the offscreen document (see offscreen.js)
+ * @param {string} action - Task name, e.g. "extract-heuristic"
+ * @param {Object} payload - Task arguments
+ * @returns {Promise<Object>} The task's response
+ */
+export async function runOffscreenTask(action, payload) {
+  await ensureOffscreenDocument();
+
+  const response = await chrome.runtime.sendMessage({ target: "offscreen", action, ...payload });
+  if (!response) {
+    throw new Error(`Offscreen task ${action} got no response`);
+  }
+  if (response.error) {
+    throw new Error(response.error);
+  }
+  return response;
+}
+
+async function ensureOffscreenDocument() {
+  if (await chrome.offscreen.hasDocument()) {
+    return;
+  }
+
+  if (!creatingDocument) {
+    creatingDocument = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_URL,
+        reasons: [chrome.offscreen.Reason.DOM_PARSER],
+        justification: "Parse linked pages, and page HTML when the recipe API is unreachable, to find recipes",
+      })
+      .finally(() => {
+        creatingDocument = null;
+      });
+  }
+  await creatingDocument;
+}
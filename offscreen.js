@@ -0,0 +1,22 @@
+// offscreen.js - DOM-dependent tasks run on behalf of the service worker
+import { extractRecipeHeuristically } from "./heuristic-extractor.js";
+import { readFetchedPage } from "./page-content.js";
+
+// Task name -> handler receiving the message and returning the response
+const TASKS = {
+  "extract-heuristic": (message) => ({ recipe: extractRecipeHeuristically(message.html) }),
+  "read-page": (message) => ({ pageContent: readFetchedPage(message.html, message.url) }),
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== "offscreen" || !TASKS[message.action]) {
+    return;
+  }
+
+  try {
+    sendResponse(TASKS[message.action](message));
+  } catch (error) {
+    console.error(`Offscreen task ${message.action} failed:`, error);
+    sendResponse({ error: error.message });
+  }
+});
@@ -0,0 +1,45 @@
+// The offscreen document only gets chrome.runtime, so nothing else is stubbed here
+global.chrome = {
+  runtime: {
+    onMessage: { addListener: jest.fn() }
+  }
+};
+
+let listener;
+
+beforeAll(async () => {
+  console.log = jest.fn();
+  await import('./offscreen.js');
+  [[listener]] = chrome.runtime.onMessage.addListener.mock.calls;
+});
+
+// Send a task the way runOffscreenTask does and return the response
+function runTask(message) {
+  const sendResponse = jest.fn();
+  listener({ target: 'offscreen', ...message }, {}, sendResponse);
+  return sendResponse.mock.calls[0] && sendResponse.mock.calls[0][0];
+}
+
+describe('offscreen tasks', () => {
+  test('should read a fetched page', () => {
+    const html = '<html><head><title>Stew</title></head><body><h1>Beef stew</h1><img src="stew.jpg"></body></html>';
+
+    const { pageContent } = runTask({ action: 'read-page', html, url: 'https://example.com/recipes/stew' });
+
+    expect(pageContent.title).toBe('Stew');
+    expect(pageContent.url).toBe('https://example.com/recipes/stew');
+    expect(pageContent.html).toContain('Beef stew');
+  });
+
+  test('should run the heuristic extractor', () => {
+    const html = '<h1>Rice</h1><h2>Ingredients</h2><ul><li>2 cups rice</li><li>4 cups water</li></ul>';
+
+    const { recipe } = runTask({ action: 'extract-heuristic', html });
+
+    expect(recipe.ingredients).toEqual(['2 cups rice', '4 cups water']);
+  });
+
+  test('should ignore messages meant for other contexts', () => {
+    expect(runTask({ target: 'popup', action: 'read-page' })).toBeUndefined();
+  });
+});
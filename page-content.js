@@ -0,0 +1,528 @@
+// page-content.js - Read a page for extraction, from an open tab or from fetched HTML.
+// Nothing is imported here: extractPageContent is injected into pages, and the
+// offscreen document loads this module without the extension's chrome-backed ones.
+/**
+ * Read the page for extraction: cleaned HTML plus any structured recipe data.
+ * Injected with chrome.scripting.executeScript, so it must stay self-contained.
+ * @param {Object} [scope] - What to read (see SCOPE_TYPES in extraction-jobs.js)
+ * @param {string} [scope.type] - "page", "selector" for one block, or "selection"
+ * @param {string} [scope.selector] - CSS selector of the block, for "selector"
+ * @param {Document} [doc] - The document to read; defaults to the page it is injected into
+ * @returns {Object|null} { html, jsonLd, microdata, rdfa, url, scope }, where scope
+ *   is the type actually used: a selector that matches nothing falls back to "page"
+ */
+export function extractPageContent(scope = {}, doc = document) {
+  try {
+    console.log("CEX: Processing html...");
+
+    let scopeType = "page";
+    let scopeElement = null;
+    if (scope.type === "selection") {
+      scopeType = "selection";
+    } else if (scope.type === "selector") {
+      try {
+        scopeElement = doc.querySelector(scope.selector);
+      } catch (error) {
+        console.warn("CEX: Invalid picked selector", scope.selector);
+      }
+      scopeType = scopeElement ? "selector" : "page";
+    }
+
+    // Structured data counts only inside the picked block, and never for a text selection
+    const structuredRoot = scopeType === "selection" ? null : scopeElement || doc;
+
+    // Collect JSON-LD blocks before the scripts are stripped below
+    const jsonLd = [];
+    const jsonLdScripts = structuredRoot
+      ? structuredRoot.querySelectorAll('script[type="application/ld+json"]')
+      : [];
+    jsonLdScripts.forEach((script) => {
+      try {
+        jsonLd.push(JSON.parse(script.textContent));
+      } catch (error) {
+        console.warn("CEX: Skipping malformed JSON-LD block", error);
+      }
+    });
+
+    // Read microdata and RDFa from the live DOM, since the clone loses its attributes
+    const microdata = structuredRoot ? readStructuredItems(structuredRoot, {
+      isScope: (el) => el.hasAttribute("itemscope"),
+      typeAttr: "itemtype",
+      propAttr: "itemprop",
+    }) : [];
+    const rdfa = structuredRoot ? readStructuredItems(structuredRoot, {
+      isScope: (el) => el.hasAttribute("typeof"),
+      typeAttr: "typeof",
+      propAttr: "property",
+    }) : [];
+
+    // Image sizes need layout, which only the live page has
+    const liveImageSizes = new Map();
+    doc.querySelectorAll("img").forEach((img) => {
+      if (img.naturalWidth) {
+        liveImageSizes.set(img.currentSrc || img.src, { width: img.naturalWidth, height: img.naturalHeight });
+      }
+    });
+
+    let cloneDoc;
+    if (scopeType === "page") {
+      cloneDoc = doc.cloneNode(true).documentElement;
+      // Cloning leaves shadow DOM behind, where web component widgets render
+      copyOpenShadowRoots(doc.documentElement, cloneDoc);
+    } else {
+      // Only the picked block or the selected text, in an otherwise empty page
+      const scopedDoc = doc.implementation.createHTMLDocument(doc.title);
+      if (scopeElement) {
+        const copy = scopedDoc.importNode(scopeElement, true);
+        copyOpenShadowRoots(scopeElement, copy);
+        scopedDoc.body.appendChild(copy);
+      } else {
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed) {
+          return { html: "", jsonLd, microdata, rdfa, url: doc.URL, scope: scopeType };
+        }
+        for (let i = 0; i < selection.rangeCount; i++) {
+          scopedDoc.body.appendChild(scopedDoc.importNode(selection.getRangeAt(i).cloneContents(), true));
+        }
+      }
+      cloneDoc = scopedDoc.documentElement;
+    }
+
+    // Remove non-content elements
+    const nonContentElements = cloneDoc.querySelectorAll(
+      "script, style, link, meta, noscript",
+    );
+    nonContentElements.forEach((el) => el.remove());
+
+    // Send only the main recipe region, or the whole page if it isn't clear which that is.
+    // This needs class and id names, so it runs before they are stripped.
+    // A block or selection the user chose is sent as it is.
+    const contentRoot = (scopeType === "page" && isolateMainContent(cloneDoc)) || cloneDoc;
+
+    // Remove all inline styles and attributes
+    contentRoot.querySelectorAll("*").forEach((el) => {
+      el.removeAttribute("style");
+      el.removeAttribute("class");
+      el.removeAttribute("id");
+    });
+
+    // Reduce images to compact references, dropping icons and tracking pixels
+    contentRoot.querySelectorAll("img").forEach((img) => {
+      const reference = readImageReference(img, liveImageSizes);
+      Array.from(img.attributes || []).forEach((attr) => img.removeAttribute(attr.name));
+      if (!reference) {
+        img.remove();
+        return;
+      }
+      Object.entries(reference).forEach(([name, value]) => {
+        if (value) {
+          img.setAttribute(name, value);
+        }
+      });
+    });
+
+    console.log("CEX: HTML is ready");
+    return { html: contentRoot.outerHTML, jsonLd, microdata, rdfa, url: doc.URL, scope: scopeType };
+  } catch (error) {
+    console.error("Error in content script:", error);
+    return null;
+  }
+
+  // Helpers are declared inside so the function stays self-contained
+  // when it is injected with chrome.scripting.executeScript
+
+  /**
+   * Describe an image by its resolved URL, the largest srcset candidate,
+   * its size and alt text. Lazy-loading attributes (data-src and friends)
+   * are used when the real URL hasn't been swapped in yet.
+   * @param {Element} img - Image in the cleaned copy of the page
+   * @param {Map<string, Object>} liveSizes - Loaded sizes by URL, from the live page
+   * @returns {Object|null} { src, srcset, width, height, alt }, or null for images
+   *   that are too small or have no usable URL
+   */
+  function readImageReference(img, liveSizes) {
+    const MIN_SIZE = 100;
+    const resolve = (value) => {
+      try {
+        return value ? new URL(value.trim(), doc.baseURI).href : null;
+      } catch (error) {
+        return null;
+      }
+    };
+    const isPlaceholder = (url) => !url || /^(data|blob):/.test(url);
+    const firstAttribute = (names) =>
+      names.map((name) => img.getAttribute(name)).find((value) => value && value.trim());
+
+    let src = resolve(firstAttribute(["src"]));
+    if (isPlaceholder(src)) {
+      src = resolve(firstAttribute(["data-src", "data-lazy-src", "data-original", "data-lazy"]));
+    }
+    const srcset = firstAttribute(["data-srcset", "data-lazy-srcset", "srcset"]);
+    const best = srcset ? bestSrcsetCandidate(srcset) : null;
+    const bestUrl = best ? resolve(best) : null;
+    if (isPlaceholder(src)) {
+      src = bestUrl;
+    }
+    if (isPlaceholder(src)) {
+      return null;
+    }
+
+    const size = liveSizes.get(src) || liveSizes.get(bestUrl) || {
+      width: parseInt(img.getAttribute("width"), 10) || null,
+      height: parseInt(img.getAttribute("height"), 10) || null,
+    };
+    if ((size.width && size.width < MIN_SIZE) || (size.height && size.height < MIN_SIZE)) {
+      return null;
+    }
+
+    return {
+      src,
+      srcset: bestUrl && bestUrl !== src ? bestUrl : null,
+      width: size.width ? String(size.width) : null,
+      height: size.height ? String(size.height) : null,
+      alt: (img.getAttribute("alt") || "").trim() || null,
+    };
+  }
+
+  /**
+   * Pick the widest (or highest density) URL of a srcset
+   * @param {string} srcset - srcset attribute value
+   * @returns {string|null} The URL, unresolved
+   */
+  function bestSrcsetCandidate(srcset) {
+    let best = null;
+    let bestSize = -1;
+    let rest = srcset.trim();
+    while (rest) {
+      const urlMatch = /^[\s,]*(\S+)/.exec(rest);
+      if (!urlMatch) {
+        break;
+      }
+      rest = rest.slice(urlMatch[0].length);
+      let url = urlMatch[1];
+      let descriptor = "";
+      if (url.endsWith(",")) {
+        url = url.replace(/,+$/, "");
+      } else {
+        const descriptorMatch = /^\s*([^,]*),?/.exec(rest);
+        descriptor = descriptorMatch[1].trim();
+        rest = rest.slice(descriptorMatch[0].length);
+      }
+
+      // "800w" and "2x" both rank by their number; a bare URL counts as 1x
+      const size = parseFloat(descriptor) || 1;
+      if (url && size > bestSize) {
+        best = url;
+        bestSize = size;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Copy the content of open shadow roots into the matching elements of a
+   * clone, ahead of their light DOM children, including nested shadow roots
+   * @param {Element} liveRoot - Element in the page
+   * @param {Element} cloneRoot - Its deep clone
+   */
+  function copyOpenShadowRoots(liveRoot, cloneRoot) {
+    const liveElements = [liveRoot, ...liveRoot.querySelectorAll("*")];
+    if (!liveElements.some((el) => el.shadowRoot)) {
+      return;
+    }
+
+    // A deep clone lists its elements in the same order as the original
+    const cloneElements = [cloneRoot, ...cloneRoot.querySelectorAll("*")];
+    liveElements.forEach((el, index) => {
+      const host = cloneElements[index];
+      if (!el.shadowRoot || !host) {
+        return;
+      }
+
+      const firstLightChild = host.firstChild;
+      Array.from(el.shadowRoot.childNodes).forEach((child) => {
+        const copy = child.cloneNode(true);
+        host.insertBefore(copy, firstLightChild);
+        if (child.nodeType === Node.ELEMENT_NODE) {
+          copyOpenShadowRoots(child, copy);
+        }
+      });
+    });
+  }
+
+  /**
+   * Readability-style scoring: strip boilerplate, score text blocks by length,
+   * commas and recipe words, credit the scores to their ancestors, weigh in
+   * landmarks, class names and link density, and keep the best container.
+   * @param {Element} pageRoot - Cleaned <html> element; left untouched
+   * @returns {Element|null} A copy holding only the page heading and the main
+   *   region, or null when no region is a confident pick
+   */
+  function isolateMainContent(pageRoot) {
+    // Class or id names of page furniture, unless they also look like content
+    const UNLIKELY = /(^|[-_\s])ads?([-_\s]|$)|banner|breadcrumb|comment|community|disqus|footer|gdpr|masthead|menu|modal|newsletter|pagination|popup|promo|related|share|sharing|sidebar|social|sponsor|subscribe|widget/i;
+    const MAYBE = /article|column|content|main|ingredient|instruction|direction/i;
+    const POSITIVE = /article|content|entry|main|post|recipe|ingredient|instruction|direction|method/i;
+    const RECIPE_WORDS = /\b(?:ingredients?|instructions?|directions?|method|servings?|serves|yield|prep time|cook time|total time|preheat|tablespoons?|teaspoons?|tbsp|tsp|cups?|grams?)\b/gi;
+    // A recipe region must hold this share of the page's recipe words...
+    const MIN_RECIPE_WORD_SHARE = 0.6;
+    // ...and at least this much text
+    const MIN_TEXT_LENGTH = 250;
+
+    const root = pageRoot.cloneNode(true);
+    const body = root.querySelector("body");
+    if (!body) {
+      return null;
+    }
+
+    const textOf = (el) => (el.textContent || "").replace(/\s+/g, " ").trim();
+    const namesOf = (el) => `${el.getAttribute("class") || ""} ${el.id || ""}`;
+    const recipeWords = (el) => (textOf(el).match(RECIPE_WORDS) || []).length;
+    const linkDensity = (el) => {
+      const length = textOf(el).length;
+      if (!length) {
+        return 1;
+      }
+      const linkLength = Array.from(el.querySelectorAll("a"))
+        .reduce((total, link) => total + textOf(link).length, 0);
+      return linkLength / length;
+    };
+
+    // Boilerplate: landmarks that are never the content, then class and id names
+    body
+      .querySelectorAll("nav, aside, footer, iframe, [role=navigation], [role=complementary], [role=contentinfo]")
+      .forEach((el) => el.remove());
+    Array.from(body.querySelectorAll("*")).forEach((el) => {
+      const names = namesOf(el);
+      if (UNLIKELY.test(names) && !MAYBE.test(names)) {
+        el.remove();
+      }
+    });
+
+    const pageRecipeWords = recipeWords(body);
+    if (pageRecipeWords === 0) {
+      return null; // Nothing recipe-like to aim for
+    }
+
+    const baseScore = (el) => {
+      let score = 0;
+      switch (el.tagName) {
+        case "MAIN":
+        case "ARTICLE":
+          score += 10;
+          break;
+        case "DIV":
+        case "SECTION":
+          score += 5;
+          break;
+        case "PRE":
+        case "TD":
+        case "BLOCKQUOTE":
+          score += 3;
+          break;
+        case "OL":
+        case "UL":
+        case "DL":
+        case "LI":
+        case "FORM":
+          score -= 3;
+          break;
+        default:
+          if (/^H\d$/.test(el.tagName)) score -= 5;
+      }
+      if (el.getAttribute("role") === "main") score += 10;
+      if (/Recipe/.test(el.getAttribute("itemtype") || "")) score += 25;
+      const names = namesOf(el);
+      if (POSITIVE.test(names)) score += 25;
+      if (UNLIKELY.test(names)) score -= 25;
+      return score;
+    };
+
+    const scores = new Map();
+    body.querySelectorAll("p, li, td, pre, blockquote, dd").forEach((block) => {
+      const text = textOf(block);
+      if (text.length < 8) {
+        return;
+      }
+      const score =
+        1 +
+        text.split(",").length - 1 +
+        Math.min(Math.floor(text.length / 100), 3) +
+        Math.min(recipeWords(block), 3);
+
+      // Parents get the full score, grandparents half, then a third per level
+      let ancestor = block.parentElement;
+      for (let level = 0; ancestor && ancestor !== body && level < 3; level++) {
+        if (!scores.has(ancestor)) {
+          scores.set(ancestor, baseScore(ancestor));
+        }
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor) + score / divider);
+        ancestor = ancestor.parentElement;
+      }
+    });
+
+    let best = null;
+    let bestScore = -Infinity;
+    scores.forEach((score, el) => {
+      const finalScore = score * (1 - linkDensity(el));
+      if (finalScore > bestScore) {
+        best = el;
+        bestScore = finalScore;
+      }
+    });
+
+    // Ingredients and steps often sit in sibling blocks: widen until both are in
+    while (best && best !== body && recipeWords(best) < pageRecipeWords * MIN_RECIPE_WORD_SHARE) {
+      best = best.parentElement;
+    }
+    if (!best || best === body || textOf(best).length < MIN_TEXT_LENGTH || linkDensity(best) > 0.5) {
+      return null;
+    }
+
+    // Keep the page heading for the title, and the photo above the recipe if the
+    // region has none, even if they sit outside it
+    const heading = body.querySelector("h1");
+    const keep = heading && !best.contains(heading) ? [heading, best] : [best];
+    if (!best.querySelector("img")) {
+      const photo = Array.from(body.querySelectorAll("img")).find(
+        (img) => best.compareDocumentPosition(img) & Node.DOCUMENT_POSITION_PRECEDING,
+      );
+      if (photo && !keep.some((el) => el.contains(photo))) {
+        keep.splice(keep.length - 1, 0, photo);
+      }
+    }
+    keep.forEach((el) => el.remove());
+    while (body.firstChild) {
+      body.firstChild.remove();
+    }
+    keep.forEach((el) => body.appendChild(el));
+
+    return root;
+  }
+
+  function readStructuredItems(root, spec) {
+    const localName = (value) => value.split(/[/:#]/).pop();
+    const tokens = (el, attr) =>
+      (el.getAttribute(attr) || "").split(/\s+/).filter(Boolean).map(localName);
+
+    const readValue = (el) => {
+      if (el.hasAttribute("content")) return el.getAttribute("content");
+      if (el.tagName === "TIME" && el.hasAttribute("datetime")) {
+        return el.getAttribute("datetime");
+      }
+      if (el.hasAttribute("href")) return el.href;
+      if (el.hasAttribute("src")) return el.src;
+      return (el.innerText || el.textContent || "").trim();
+    };
+
+    const readItem = (root) => {
+      const item = { "@type": tokens(root, spec.typeAttr) };
+      const collect = (parent) => {
+        Array.from(parent.children).forEach((child) => {
+          const names = tokens(child, spec.propAttr);
+          const isScope = spec.isScope(child);
+          if (names.length > 0) {
+            const value = isScope ? readItem(child) : readValue(child);
+            names.forEach((name) => {
+              item[name] = item[name] || [];
+              item[name].push(value);
+            });
+          }
+          if (!isScope) {
+            collect(child);
+          }
+        });
+      };
+      collect(root);
+      return item;
+    };
+
+    const selector = `[${spec.typeAttr}]`;
+    const elements = Array.from(root.querySelectorAll(selector));
+    if (root.matches && root.matches(selector)) {
+      elements.unshift(root);
+    }
+    return elements
+      .filter((el) => spec.isScope(el))
+      .filter((el) => tokens(el, spec.typeAttr).includes("Recipe"))
+      .map(readItem);
+  }
+}
+
+/**
+ * Merge the extractPageContent results of all frames into one page. Frames
+ * with something recipe-like are added to the end of the top frame's body,
+ * each wrapped in an element whose data-frame-url attribute names the frame.
+ * @param {Array<Object>} results - chrome.scripting.executeScript results ({ frameId, result })
+ * @returns {Object|null} Merged page content, or null if the top frame gave none
+ */
+export function mergeFrameContents(results) {
+  const top = results.find((frame) => frame.frameId === 0) || results[0];
+  if (!top || !top.result) {
+    return null;
+  }
+
+  const merged = { ...top.result };
+  const frameSections = [];
+  results.forEach((frame) => {
+    const content = frame.result;
+    if (frame === top || !content || !frameMayHoldRecipe(content)) {
+      return;
+    }
+
+    const bodyMatch = /<body[^>]*>([\s\S]*)<\/body>/i.exec(content.html);
+    frameSections.push(
+      `<section data-frame-url="${escapeAttribute(content.url || "")}">${bodyMatch ? bodyMatch[1] : content.html}</section>`,
+    );
+    ["jsonLd", "microdata", "rdfa"].forEach((key) => {
+      merged[key] = [...(merged[key] || []), ...(content[key] || [])];
+    });
+  });
+
+  if (frameSections.length > 0) {
+    const html = merged.html;
+    const bodyEnd = html.search(/<\/body>/i);
+    merged.html = bodyEnd === -1
+      ? html + frameSections.join("")
+      : html.slice(0, bodyEnd) + frameSections.join("") + html.slice(bodyEnd);
+  }
+  return merged;
+}
+
+// Ad, analytics and social iframes are common; keep frames that look like recipe content
+function frameMayHoldRecipe(content) {
+  const hasStructuredData = ["jsonLd", "microdata", "rdfa"].some(
+    (key) => content[key] && content[key].length > 0,
+  );
+  return hasStructuredData || /recipe|ingredient|instruction|direction/i.test(content.html || "");
+}
+
+function escapeAttribute(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Read a page that was fetched rather than opened in a tab, the same way
+ * extractPageContent reads an open one. Needs DOMParser, so in the service
+ * worker's place it runs in the offscreen document (see offscreen.js).
+ * @param {string} html - The page's HTML source
+ * @param {string} url - The page URL, for resolving relative image links
+ * @returns {Object|null} Page content as from extractPageContent, plus the page title
+ */
+export function readFetchedPage(html, url) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  // A parsed document's own URL is the extension page that parsed it
+  if (!doc.querySelector("base[href]")) {
+    const base = doc.createElement("base");
+    base.setAttribute("href", url);
+    doc.head.prepend(base);
+  }
+
+  const pageContent = extractPageContent({ type: "page" }, doc);
+  return pageContent && { ...pageContent, url, title: doc.title };
+}
@@ -0,0 +1,344 @@
+import { extractPageContent, readFetchedPage, mergeFrameContents } from './page-content.js';
+
+describe('extractPageContent', () => {
+  beforeEach(() => {
+    // Create a simple DOM structure for testing
+    document.body.innerHTML = `
+      <html>
+        <head>
+          <script>console.log('test');</script>
+          <style>.test { color: red; }</style>
+          <link rel="stylesheet" href="styles.css">
+          <meta name="description" content="Test page">
+        </head>
+        <body>
+          <div id="content" class="main-content" style="padding: 10px;">
+            <h1>Test Title</h1>
+            <img src="test.jpg" alt="Test image">
+            <noscript>JavaScript is disabled</noscript>
+          </div>
+        </body>
+      </html>
+    `;
+
+    // Mock document.cloneNode
+    document.cloneNode = jest.fn().mockReturnValue({
+      documentElement: {
+        querySelectorAll: jest.fn().mockImplementation((selector) => {
+          if (selector === "script, style, link, meta, noscript") {
+            return [
+              { remove: jest.fn() },
+              { remove: jest.fn() },
+              { remove: jest.fn() }
+            ];
+          } else if (selector === "*") {
+            return [
+              { removeAttribute: jest.fn() },
+              { removeAttribute: jest.fn() }
+            ];
+          } else if (selector === "img") {
+            return [
+              {
+                attributes: [],
+                getAttribute: () => null,
+                removeAttribute: jest.fn(),
+                remove: jest.fn()
+              }
+            ];
+          }
+          return [];
+        }),
+        // The main content pass finds no <body> in the copy and keeps the whole page
+        cloneNode: jest.fn().mockReturnValue({ querySelector: () => null }),
+        outerHTML: '<html><body><h1>Test Title</h1></body></html>'
+      }
+    });
+  });
+
+  test('should extract page content and clean it', () => {
+    const result = extractPageContent();
+    expect(result.html).toBe('<html><body><h1>Test Title</h1></body></html>');
+    expect(result.jsonLd).toEqual([]);
+  });
+
+  test('should collect JSON-LD blocks before scripts are removed', () => {
+    document.body.innerHTML += `
+      <script type="application/ld+json">{"@type": "Recipe", "name": "Soup"}</script>
+      <script type="application/ld+json">{not valid json</script>
+    `;
+    console.warn = jest.fn();
+
+    const result = extractPageContent();
+
+    expect(result.jsonLd).toEqual([{ '@type': 'Recipe', name: 'Soup' }]);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  test('should read microdata and RDFa recipes from the live DOM', () => {
+    document.body.innerHTML += `
+      <div itemscope itemtype="https://schema.org/Recipe">
+        <h2 itemprop="name">Toast</h2>
+        <meta itemprop="totalTime" content="PT5M">
+        <ul><li itemprop="recipeIngredient">1 slice bread</li></ul>
+        <div itemprop="author" itemscope itemtype="https://schema.org/Person">
+          <span itemprop="name">Alex</span>
+        </div>
+      </div>
+      <div vocab="https://schema.org/" typeof="Recipe">
+        <span property="name">Tea</span>
+        <span property="recipeIngredient">1 tea bag</span>
+      </div>
+    `;
+
+    const result = extractPageContent();
+
+    expect(result.microdata).toEqual([{
+      '@type': ['Recipe'],
+      name: ['Toast'],
+      totalTime: ['PT5M'],
+      recipeIngredient: ['1 slice bread'],
+      author: [{ '@type': ['Person'], name: ['Alex'] }]
+    }]);
+    expect(result.rdfa).toEqual([{
+      '@type': ['Recipe'],
+      name: ['Tea'],
+      recipeIngredient: ['1 tea bag']
+    }]);
+  });
+
+  test('should handle errors gracefully', () => {
+    document.cloneNode = jest.fn().mockImplementation(() => {
+      throw new Error('Test error');
+    });
+
+    console.error = jest.fn();
+    const result = extractPageContent();
+
+    expect(result).toBeNull();
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe('extractPageContent main content scoring', () => {
+  // Real DOM cloning, rather than the mock above
+  beforeEach(() => {
+    delete document.cloneNode;
+    console.log = jest.fn();
+  });
+
+  const step = (text) => `<li>${text} Keep stirring gently, scraping the bottom of the pot, until everything is well combined.</li>`;
+
+  test('should send only the recipe region, keeping the page heading', () => {
+    document.body.innerHTML = `
+      <header><h1>Tomato Soup</h1><nav><a href="/">Home</a> <a href="/recipes">Recipes</a></nav></header>
+      <div class="page">
+        <article class="post">
+          <p>This soup is the one we make every winter, with tomatoes, stock, and a little cream.</p>
+          <div class="recipe-ingredients">
+            <h2>Ingredients</h2>
+            <ul><li>2 cups chopped tomatoes</li><li>1 tablespoon olive oil</li><li>3 cups stock</li></ul>
+          </div>
+          <div class="recipe-instructions">
+            <h2>Instructions</h2>
+            <ol>${step('Heat the oil.')}${step('Add the tomatoes.')}${step('Pour in the stock.')}</ol>
+          </div>
+        </article>
+        <aside class="related-recipes"><a href="/a">Bean stew with 2 cups beans</a></aside>
+        <section id="comments"><p>Loved it! I added 1 teaspoon of chili, and served it with bread.</p></section>
+      </div>
+      <footer>© Soup Site</footer>
+    `;
+
+    const { html } = extractPageContent();
+
+    expect(html).toContain('Tomato Soup');
+    expect(html).toContain('2 cups chopped tomatoes');
+    expect(html).toContain('Pour in the stock.');
+    expect(html).not.toContain('Home');
+    expect(html).not.toContain('Bean stew');
+    expect(html).not.toContain('Loved it');
+    expect(html).not.toContain('Soup Site');
+  });
+
+  test('should send the whole page when no region stands out', () => {
+    document.body.innerHTML = `
+      <nav><a href="/">Home</a></nav>
+      <div><p>Opening hours: Monday to Friday, nine to five.</p></div>
+    `;
+
+    const { html } = extractPageContent();
+
+    expect(html).toContain('Home');
+    expect(html).toContain('Opening hours');
+  });
+});
+
+describe('extractPageContent images', () => {
+  beforeEach(() => {
+    delete document.cloneNode;
+    console.log = jest.fn();
+  });
+
+  test('should keep compact image references and drop icons', () => {
+    document.body.innerHTML = `
+      <img class="hero" src="/hero.jpg" width="800" height="600" alt=" Lasagna " loading="lazy"
+        srcset="/hero-400.jpg 400w, /hero-1200.jpg 1200w, /hero-800.jpg 800w">
+      <img src="data:image/gif;base64,R0lGOD" data-src="steps/layer.jpg" data-srcset="steps/layer.jpg 1x, steps/layer@2x.jpg 2x">
+      <img src="/icons/print.png" width="16" height="16" alt="Print">
+    `;
+
+    const { html } = extractPageContent();
+
+    expect(html).toContain(
+      '<img src="http://localhost/hero.jpg" srcset="http://localhost/hero-1200.jpg" width="800" height="600" alt="Lasagna">'
+    );
+    expect(html).toContain('<img src="http://localhost/steps/layer.jpg" srcset="http://localhost/steps/layer@2x.jpg">');
+    expect(html).not.toContain('print.png');
+  });
+});
+
+describe('extractPageContent link elements', () => {
+  beforeEach(() => {
+    delete document.cloneNode;
+    console.log = jest.fn();
+  });
+
+  test('should remove icon links as well as stylesheets', () => {
+    document.head.innerHTML = '<link rel="icon" href="favicon.ico">';
+    document.body.innerHTML = '<h1>Test Title</h1><link rel="preload" href="font.woff2">';
+
+    const result = extractPageContent();
+
+    expect(result.html).toContain('<h1>Test Title</h1>');
+    expect(result.html).not.toContain('favicon.ico');
+    expect(result.html).not.toContain('font.woff2');
+    document.head.innerHTML = '';
+  });
+});
+
+describe('readFetchedPage', () => {
+  beforeEach(() => {
+    delete document.cloneNode;
+    console.log = jest.fn();
+  });
+
+  test('should read a page source like an open page', () => {
+    const html = `
+      <html><head><title>Beef stew</title>
+        <script type="application/ld+json">{"@type": "Recipe", "name": "Stew"}</script>
+      </head><body>
+        <p>2 cups beef stock</p>
+        <img src="/photos/stew.jpg" width="800" height="600" alt="Stew">
+      </body></html>
+    `;
+
+    const result = readFetchedPage(html, 'https://example.com/recipes/stew');
+
+    expect(result.url).toBe('https://example.com/recipes/stew');
+    expect(result.title).toBe('Beef stew');
+    expect(result.jsonLd).toEqual([{ '@type': 'Recipe', name: 'Stew' }]);
+    expect(result.html).toContain('<p>2 cups beef stock</p>');
+    expect(result.html).toContain('src="https://example.com/photos/stew.jpg"');
+  });
+});
+
+describe('extractPageContent scope', () => {
+  beforeEach(() => {
+    delete document.cloneNode;
+    console.log = jest.fn();
+    console.warn = jest.fn();
+  });
+
+  const page = `
+    <div id="first" itemscope itemtype="https://schema.org/Recipe"><span itemprop="name">Stew</span></div>
+    <div id="second"><p>2 cups rice</p><p>Boil the rice.</p></div>
+  `;
+
+  test('should read only the picked block and its structured data', () => {
+    document.body.innerHTML = page;
+
+    const second = extractPageContent({ type: 'selector', selector: '#second' });
+    const first = extractPageContent({ type: 'selector', selector: '#first' });
+
+    expect(second.scope).toBe('selector');
+    expect(second.html).toContain('<p>2 cups rice</p>');
+    expect(second.html).not.toContain('Stew');
+    expect(second.microdata).toEqual([]);
+    expect(first.microdata).toEqual([{ '@type': ['Recipe'], name: ['Stew'] }]);
+  });
+
+  test('should read the whole page when the picked block is gone', () => {
+    document.body.innerHTML = page;
+
+    const result = extractPageContent({ type: 'selector', selector: '#missing' });
+
+    expect(result.scope).toBe('page');
+    expect(result.html).toContain('Stew');
+  });
+
+  test('should read only the selected text', () => {
+    document.body.innerHTML = page;
+    const range = document.createRange();
+    range.selectNodeContents(document.querySelector('#second p'));
+    window.getSelection().removeAllRanges();
+    window.getSelection().addRange(range);
+
+    const result = extractPageContent({ type: 'selection' });
+
+    expect(result.scope).toBe('selection');
+    expect(result.html).toContain('2 cups rice');
+    expect(result.html).not.toContain('Boil');
+    expect(result.microdata).toEqual([]);
+
+    window.getSelection().removeAllRanges();
+    expect(extractPageContent({ type: 'selection' }).html).toBe('');
+  });
+});
+
+describe('extractPageContent shadow DOM', () => {
+  beforeEach(() => {
+    delete document.cloneNode;
+    console.log = jest.fn();
+  });
+
+  test('should include the content of open shadow roots', () => {
+    document.body.innerHTML = '<recipe-card><p>Light child</p></recipe-card>';
+    const shadow = document.querySelector('recipe-card').attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<ul><li>2 cups flour</li></ul><nested-list></nested-list><slot></slot>';
+    shadow.querySelector('nested-list').attachShadow({ mode: 'open' }).innerHTML = '<li>1 egg</li>';
+
+    const { html } = extractPageContent();
+
+    expect(html).toContain('<ul><li>2 cups flour</li></ul><nested-list><li>1 egg</li></nested-list>');
+    expect(html).toContain('Light child');
+  });
+});
+
+describe('mergeFrameContents', () => {
+  const frame = (frameId, html, extra = {}) => ({ frameId, result: { html, jsonLd: [], microdata: [], rdfa: [], ...extra } });
+
+  test('should add recipe frames to the top frame body, marking their boundaries', () => {
+    const merged = mergeFrameContents([
+      frame(3, '<html><body><ul><li>2 cups flour</li></ul><p>Ingredients</p></body></html>', {
+        url: 'https://widgets.example/recipe?id=1&v=2',
+        jsonLd: [{ '@type': 'Recipe' }]
+      }),
+      frame(0, '<html><body><h1>Bread</h1></body></html>', { url: 'https://example.com/bread' }),
+      frame(5, '<html><body>Buy now!</body></html>', { url: 'https://ads.example/' }),
+      { frameId: 6, result: null }
+    ]);
+
+    expect(merged.html).toBe(
+      '<html><body><h1>Bread</h1>' +
+      '<section data-frame-url="https://widgets.example/recipe?id=1&amp;v=2"><ul><li>2 cups flour</li></ul><p>Ingredients</p></section>' +
+      '</body></html>'
+    );
+    expect(merged.jsonLd).toEqual([{ '@type': 'Recipe' }]);
+    expect(merged.url).toBe('https://example.com/bread');
+  });
+
+  test('should return null without a top frame result', () => {
+    expect(mergeFrameContents([{ frameId: 0, result: null }])).toBeNull();
+    expect(mergeFrameContents([])).toBeNull();
+  });
+});
@@ -0,0 +1,36 @@
+// preferences.js - User preferences persisted in chrome.storage
+
+/**
+ * Preference storage keys
+ */
+export const PREFERENCE_KEYS = {
+  UNIT_SYSTEM: 'pref_unit_system',
+  // How long extraction results are cached, in milliseconds; 0 turns the cache off
+  CACHE_TTL: 'pref_cache_ttl',
+};
+
+/**
+ * Read a stored preference
+ * @param {string} key - One of PREFERENCE_KEYS
+ * @param {*} defaultValue - Returned when nothing is stored
+ * @returns {Promise<*>} The stored value or the default
+ */
+export async function getPreference(key, defaultValue) {
+  try {
+    const data = await chrome.storage.local.get([key]);
+    return data[key] !== undefined ? data[key] : defaultValue;
+  } catch (error) {
+    console.error('Failed to read preference:', key, error);
+    return defaultValue;
+  }
+}
+
+/**
+ * Store a preference
+ * @param {string} key - One of PREFERENCE_KEYS
+ * @param {*} value - Value to store
+ * @returns {Promise<void>}
+ */
+export async function setPreference(key, value) {
+  await chrome.storage.local.set({ [key]: value });
+}
@@ -0,0 +1,106 @@
+// queue-view.js - List /recipe requests waiting to be retried, in the popup
+import { QUEUE_STATUS } from "./request-queue.js";
+
+let listElement;
+
+/**
+ * Look up the queue view elements and follow queue changes from the background
+ */
+export function initQueueView() {
+  listElement = document.getElementById("queue-list");
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === "request-queue-changed") {
+      renderQueue(message.items);
+    }
+  });
+}
+
+/**
+ * Load and show the request queue
+ * @returns {Promise<void>}
+ */
+export async function showQueue() {
+  await sendQueueAction({ action: "get-request-queue" });
+}
+
+/**
+ * Send a queue message to the background and render the queue it returns
+ * @param {Object} message - get-request-queue, retry-queued-request or cancel-queued-request
+ * @returns {Promise<void>}
+ */
+async function sendQueueAction(message) {
+  try {
+    const response = await chrome.runtime.sendMessage(message);
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    renderQueue(response.items);
+  } catch (error) {
+    console.error("Failed to load request queue:", error);
+    listElement.textContent = "Could not load the request queue.";
+  }
+}
+
+/**
+ * Render queue items
+ * @param {Array<Object>} items - Queue items, oldest first
+ */
+function renderQueue(items) {
+  listElement.innerHTML = "";
+
+  if (items.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "library-empty";
+    empty.textContent = "No requests waiting. Recipes extracted while offline are retried from here.";
+    listElement.appendChild(empty);
+    return;
+  }
+
+  items.forEach((item) => {
+    const failed = item.status === QUEUE_STATUS.FAILED;
+    const row = document.createElement("div");
+    row.className = failed ? "library-item queue-item failed" : "library-item queue-item";
+
+    const info = document.createElement("div");
+    info.className = "library-item-info";
+    const title = document.createElement("strong");
+    title.textContent = item.tab.title || item.tab.url;
+    const meta = document.createElement("small");
+    meta.textContent = describeItem(item);
+    meta.title = item.lastError || "";
+    info.appendChild(title);
+    info.appendChild(meta);
+
+    const retryButton = document.createElement("button");
+    retryButton.textContent = failed ? "Retry" : "Retry now";
+    retryButton.addEventListener("click", () => {
+      retryButton.disabled = true;
+      sendQueueAction({ action: "retry-queued-request", id: item.id });
+    });
+
+    const cancelButton = document.createElement("button");
+    cancelButton.className = "delete-button";
+    cancelButton.textContent = "Cancel";
+    cancelButton.addEventListener("click", () => {
+      sendQueueAction({ action: "cancel-queued-request", id: item.id });
+    });
+
+    row.appendChild(info);
+    row.appendChild(retryButton);
+    row.appendChild(cancelButton);
+    listElement.appendChild(row);
+  });
+}
+
+function describeItem(item) {
+  if (item.status === QUEUE_STATUS.FAILED) {
+    return `Failed: ${item.lastError}`;
+  }
+
+  const minutes = Math.max(0, Math.ceil((item.nextAttemptAt - Date.now()) / 60000));
+  const next = minutes <= 1 ? "within a minute" : `in ${minutes} min`;
+  return item.attempts === 0
+    ? `Waiting for the recipe API · first retry ${next}`
+    : `${item.attempts} ${item.attempts === 1 ? "retry" : "retries"} failed · next ${next}`;
+}
@@ -0,0 +1,76 @@
+// rate-limit-view.js - Show API quota and any rate limit countdown in the popup
+
+let statusElement;
+let countdownTimer = null;
+
+/**
+ * Look up the status element, load the current state and follow changes
+ * @returns {Promise<void>}
+ */
+export async function initRateLimitView() {
+  statusElement = document.getElementById("rate-limit-status");
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === "rate-limit-changed") {
+      renderRateLimit(message.state);
+    }
+  });
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: "get-rate-limit" });
+    if (response && response.state) {
+      renderRateLimit(response.state);
+    }
+  } catch (error) {
+    console.error("Failed to load rate limit state:", error);
+  }
+}
+
+/**
+ * Render the quota line, ticking every second while we're rate limited
+ * @param {Object} state - { blockedUntil, quota } from rate-limit.js
+ */
+function renderRateLimit(state) {
+  clearInterval(countdownTimer);
+  countdownTimer = null;
+
+  const update = () => {
+    const waitMs = state.blockedUntil - Date.now();
+    if (waitMs > 0) {
+      statusElement.className = "rate-limit-status blocked";
+      statusElement.textContent = `Rate limited by the recipe API · next request in ${formatCountdown(waitMs)}`;
+      statusElement.style.display = "block";
+      return;
+    }
+
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+    statusElement.className = "rate-limit-status";
+    statusElement.textContent = describeQuota(state.quota);
+    statusElement.style.display = statusElement.textContent ? "block" : "none";
+  };
+
+  update();
+  if (state.blockedUntil > Date.now()) {
+    countdownTimer = setInterval(update, 1000);
+  }
+}
+
+function describeQuota(quota) {
+  if (!quota || quota.remaining === null) {
+    return "";
+  }
+
+  let text = quota.limit === null
+    ? `API quota: ${quota.remaining} requests left`
+    : `API quota: ${quota.remaining} of ${quota.limit} requests left`;
+  if (quota.resetAt && quota.resetAt > Date.now()) {
+    text += ` · resets at ${new Date(quota.resetAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`;
+  }
+  return text;
+}
+
+function formatCountdown(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
@@ -0,0 +1,118 @@
+// rate-limit.js - Track the recipe API's rate limit so no request is sent while we're blocked
+
+const RATE_LIMIT_STORAGE_KEY = "api_rate_limit";
+// Used when a 429 comes without a usable Retry-After
+const DEFAULT_RETRY_AFTER = 60 * 1000;
+// Don't let a bogus header lock us out for days
+const MAX_RETRY_AFTER = 60 * 60 * 1000;
+
+// { blockedUntil: ms timestamp, quota: { limit, remaining, resetAt } | null }
+let statePromise = null;
+
+/**
+ * Parse a Retry-After header: delay in seconds, or an HTTP date
+ * @param {string} value - Header value
+ * @param {number} [now] - Current time (ms)
+ * @returns {number|null} Delay in milliseconds, or null if missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+
+  const text = String(value).trim();
+  const delay = /^\d+(?:\.\d+)?$/.test(text) ? Number(text) * 1000 : Date.parse(text) - now;
+  if (Number.isNaN(delay)) {
+    return null;
+  }
+  return Math.min(Math.max(delay, 0), MAX_RETRY_AFTER);
+}
+
+/**
+ * Read quota headers, either X-RateLimit-* or the IETF RateLimit-* ones.
+ * Reset may be seconds from now or a Unix timestamp.
+ * @param {Object} headers - Response headers, lower-cased names
+ * @param {number} [now] - Current time (ms)
+ * @returns {Object|null} { limit, remaining, resetAt } or null without quota headers
+ */
+export function parseQuota(headers, now = Date.now()) {
+  const read = (name) => {
+    const value = headers[`x-ratelimit-${name}`] ?? headers[`ratelimit-${name}`];
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+  };
+
+  const limit = read("limit");
+  const remaining = read("remaining");
+  if (limit === null && remaining === null) {
+    return null;
+  }
+
+  const reset = read("reset");
+  let resetAt = null;
+  if (reset !== null) {
+    // Anything bigger than a year in seconds must be an epoch timestamp
+    resetAt = reset > 365 * 24 * 60 * 60 ? reset * 1000 : now + reset * 1000;
+  }
+  return { limit, remaining, resetAt };
+}
+
+/**
+ * How long requests must wait before the API will accept them again
+ * @returns {Promise<number>} Milliseconds, 0 if requests may be sent now
+ */
+export async function checkRateLimit() {
+  const state = await loadState();
+  return Math.max(state.blockedUntil - Date.now(), 0);
+}
+
+/**
+ * Record what a response says about our rate limit
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers, lower-cased names
+ * @returns {Promise<void>}
+ */
+export async function recordRateLimit(status, headers) {
+  const state = await loadState();
+  const now = Date.now();
+  const quota = parseQuota(headers, now);
+  let changed = false;
+
+  if (quota) {
+    state.quota = quota;
+    changed = true;
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(headers["retry-after"], now) ?? DEFAULT_RETRY_AFTER;
+    state.blockedUntil = now + retryAfter;
+    changed = true;
+  }
+
+  if (changed) {
+    await chrome.storage.local.set({ [RATE_LIMIT_STORAGE_KEY]: state });
+    chrome.runtime.sendMessage({ action: "rate-limit-changed", state }).catch(() => {
+      // It's normal for this to fail if the popup is closed
+    });
+  }
+}
+
+/**
+ * Current rate limit state, for display
+ * @returns {Promise<Object>} { blockedUntil, quota }
+ */
+export async function getRateLimitState() {
+  return { ...(await loadState()) };
+}
+
+function loadState() {
+  if (!statePromise) {
+    statePromise = chrome.storage.local
+      .get(RATE_LIMIT_STORAGE_KEY)
+      .then((stored) => stored[RATE_LIMIT_STORAGE_KEY] || { blockedUntil: 0, quota: null })
+      .catch((error) => {
+        statePromise = null;
+        throw error;
+      });
+  }
+  return statePromise;
+}
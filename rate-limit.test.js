@@ -0,0 +1,81 @@
+// Minimal chrome API: storage.local backed by an object
+let stored;
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) => ({ [key]: stored[key] })),
+      set: jest.fn(async (items) => Object.assign(stored, items))
+    }
+  },
+  runtime: {
+    sendMessage: jest.fn().mockResolvedValue(undefined)
+  }
+};
+
+// Re-imported per test, so every test starts unblocked
+let rateLimit;
+
+beforeEach(async () => {
+  jest.resetModules();
+  jest.clearAllMocks();
+  stored = {};
+  rateLimit = await import('./rate-limit.js');
+});
+
+describe('parseRetryAfter', () => {
+  const now = Date.parse('2026-01-01T12:00:00Z');
+
+  test('should read seconds or an HTTP date', () => {
+    expect(rateLimit.parseRetryAfter('120', now)).toBe(120 * 1000);
+    expect(rateLimit.parseRetryAfter('Thu, 01 Jan 2026 12:00:30 GMT', now)).toBe(30 * 1000);
+  });
+
+  test('should ignore missing or invalid values and cap long waits', () => {
+    expect(rateLimit.parseRetryAfter(undefined, now)).toBeNull();
+    expect(rateLimit.parseRetryAfter('soon', now)).toBeNull();
+    expect(rateLimit.parseRetryAfter('999999', now)).toBe(60 * 60 * 1000);
+    expect(rateLimit.parseRetryAfter('Wed, 31 Dec 2025 12:00:00 GMT', now)).toBe(0);
+  });
+});
+
+describe('parseQuota', () => {
+  const now = 1000000;
+
+  test('should read relative or epoch reset times', () => {
+    expect(rateLimit.parseQuota({ 'x-ratelimit-limit': '100', 'x-ratelimit-remaining': '42', 'x-ratelimit-reset': '60' }, now))
+      .toEqual({ limit: 100, remaining: 42, resetAt: now + 60 * 1000 });
+    expect(rateLimit.parseQuota({ 'ratelimit-remaining': '3', 'ratelimit-reset': '1767268800' }, now))
+      .toEqual({ limit: null, remaining: 3, resetAt: 1767268800 * 1000 });
+  });
+
+  test('should return null without quota headers', () => {
+    expect(rateLimit.parseQuota({ 'content-type': 'application/json' }, now)).toBeNull();
+  });
+});
+
+describe('recordRateLimit', () => {
+  test('should block requests until Retry-After has passed', async () => {
+    await rateLimit.recordRateLimit(429, { 'retry-after': '30' });
+
+    const blockedFor = await rateLimit.checkRateLimit();
+    expect(blockedFor).toBeGreaterThan(29 * 1000);
+    expect(blockedFor).toBeLessThanOrEqual(30 * 1000);
+    expect(stored.api_rate_limit.blockedUntil).toBeGreaterThan(Date.now());
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ action: 'rate-limit-changed' })
+    );
+  });
+
+  test('should keep the latest quota without blocking', async () => {
+    await rateLimit.recordRateLimit(200, { 'x-ratelimit-limit': '100', 'x-ratelimit-remaining': '99' });
+
+    expect(await rateLimit.checkRateLimit()).toBe(0);
+    expect((await rateLimit.getRateLimitState()).quota).toMatchObject({ limit: 100, remaining: 99 });
+  });
+
+  test('should leave storage alone for responses without rate limit headers', async () => {
+    await rateLimit.recordRateLimit(200, {});
+
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,245 @@
+// recipe-card.js - Render a normalized recipe as a readable card
+import { getServings } from "./recipe-scaler.js";
+
+/**
+ * Build the recipe card element for a normalized recipe
+ * @param {Object} recipe - Normalized recipe (see recipe-normalizer.js)
+ * @returns {HTMLElement} The card element
+ */
+export function renderRecipeCard(recipe) {
+  const card = document.createElement("article");
+  card.className = "recipe-card";
+
+  if (recipe.image) {
+    const hero = document.createElement("img");
+    hero.className = "recipe-hero";
+    hero.src = recipe.image;
+    hero.alt = recipe.title || "";
+    card.appendChild(hero);
+  }
+
+  const title = document.createElement("h2");
+  title.className = "recipe-title";
+  title.textContent = recipe.title || "Untitled recipe";
+  card.appendChild(title);
+
+  if (recipe.description) {
+    const description = document.createElement("p");
+    description.className = "recipe-description";
+    description.textContent = recipe.description;
+    card.appendChild(description);
+  }
+
+  const meta = renderMeta(recipe);
+  if (meta) {
+    card.appendChild(meta);
+  }
+
+  if (recipe.ingredients && recipe.ingredients.length > 0) {
+    card.appendChild(renderIngredients(recipe.ingredients));
+  }
+
+  if (recipe.instructions && recipe.instructions.length > 0) {
+    card.appendChild(renderInstructions(recipe.instructions));
+  }
+
+  if (recipe.notes && recipe.notes.length > 0) {
+    const notes = createSection("Notes", "recipe-notes");
+    const list = document.createElement("ul");
+    recipe.notes.forEach((note) => {
+      const item = document.createElement("li");
+      item.textContent = note;
+      list.appendChild(item);
+    });
+    notes.appendChild(list);
+    card.appendChild(notes);
+  }
+
+  return card;
+}
+
+/**
+ * Build the servings control shown above the card
+ * @param {Object} recipe - Recipe with parsed ingredients, possibly already scaled
+ * @param {Function} onChange - Called with the new number of servings
+ * @returns {HTMLElement} The control element
+ */
+export function renderServingsControl(recipe, onChange) {
+  const base = recipe.scale
+    ? recipe.scale.base
+    : { servings: getServings(recipe) || 1, hasYield: getServings(recipe) !== null };
+  const servings = recipe.scale ? recipe.scale.servings : base.servings;
+  // Without a yield we scale whole batches, which need half steps
+  const step = base.hasYield ? 1 : 0.5;
+
+  const control = document.createElement("div");
+  control.className = "servings-control";
+
+  const label = document.createElement("span");
+  label.textContent = base.hasYield ? "Servings" : "Batches";
+  control.appendChild(label);
+
+  const update = (value) => {
+    if (value > 0 && value !== servings) {
+      onChange(value);
+    }
+  };
+
+  const minus = createButton("−", () => update(servings - step));
+  minus.disabled = servings <= step;
+  control.appendChild(minus);
+
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = String(step);
+  input.step = String(step);
+  input.value = String(servings);
+  input.addEventListener("change", () => update(parseFloat(input.value)));
+  control.appendChild(input);
+
+  control.appendChild(createButton("+", () => update(servings + step)));
+  control.appendChild(createButton("½×", () => update(base.servings / 2)));
+  control.appendChild(createButton("2×", () => update(base.servings * 2)));
+
+  if (servings !== base.servings) {
+    const reset = createButton("Reset", () => update(base.servings));
+    reset.className = "servings-reset";
+    control.appendChild(reset);
+  }
+
+  return control;
+}
+
+/**
+ * Format a duration in minutes for display ("1 hr 30 min")
+ * @param {number|null} minutes - Duration in minutes
+ * @returns {string} Formatted duration, or an empty string
+ */
+export function formatMinutes(minutes) {
+  if (!minutes) {
+    return "";
+  }
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) {
+    return `${rest} min`;
+  }
+  return rest === 0 ? `${hours} hr` : `${hours} hr ${rest} min`;
+}
+
+/**
+ * Describe the yield of a possibly scaled recipe: "8 servings (scaled from 4 servings)"
+ * @param {Object} recipe - Recipe, with the `scale` record of recipe-scaler.js if it was scaled
+ * @returns {string} Yield text, or an empty string
+ */
+export function describeYield(recipe) {
+  const scale = recipe.scale;
+  if (!scale || scale.factor === 1) {
+    return recipe.yield || "";
+  }
+  if (!scale.base.hasYield) {
+    const batches = scale.servings === 1 ? "1 batch" : `${scale.servings} batches`;
+    return recipe.yield ? `${batches} of ${recipe.yield}` : batches;
+  }
+  return `${scale.servings} servings (scaled from ${recipe.yield})`;
+}
+
+function renderMeta(recipe) {
+  const facts = [
+    ["Yield", describeYield(recipe)],
+    ["Prep", formatMinutes(recipe.prepTime)],
+    ["Cook", formatMinutes(recipe.cookTime)],
+    ["Total", formatMinutes(recipe.totalTime)],
+  ].filter(([, value]) => value);
+
+  if (facts.length === 0) {
+    return null;
+  }
+
+  const list = document.createElement("dl");
+  list.className = "recipe-meta";
+  facts.forEach(([label, value]) => {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    list.appendChild(term);
+    list.appendChild(detail);
+  });
+  return list;
+}
+
+function renderIngredients(ingredients) {
+  const section = createSection("Ingredients", "recipe-ingredients");
+  const list = document.createElement("ul");
+
+  ingredients.forEach((ingredient) => {
+    const item = document.createElement("li");
+    // A plain label/checkbox pair lets users tick items off without any handlers
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    const text = document.createElement("span");
+    text.textContent = ingredient;
+
+    label.appendChild(checkbox);
+    label.appendChild(text);
+    item.appendChild(label);
+    list.appendChild(item);
+  });
+
+  section.appendChild(list);
+  return section;
+}
+
+function renderInstructions(instructions) {
+  const section = createSection("Instructions", "recipe-instructions");
+  let list = null;
+  let currentSection;
+
+  instructions.forEach((step, index) => {
+    if (!list || step.section !== currentSection) {
+      currentSection = step.section;
+      if (currentSection) {
+        const heading = document.createElement("h4");
+        heading.textContent = currentSection;
+        section.appendChild(heading);
+      }
+      // Keep numbering continuous across sections
+      list = document.createElement("ol");
+      list.start = index + 1;
+      section.appendChild(list);
+    }
+
+    const item = document.createElement("li");
+    item.textContent = step.text;
+    if (step.image) {
+      const image = document.createElement("img");
+      image.className = "recipe-step-image";
+      image.src = step.image;
+      image.alt = "";
+      image.loading = "lazy";
+      item.appendChild(image);
+    }
+    list.appendChild(item);
+  });
+
+  return section;
+}
+
+function createButton(text, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = text;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+function createSection(title, className) {
+  const section = document.createElement("section");
+  section.className = className;
+  const heading = document.createElement("h3");
+  heading.textContent = title;
+  section.appendChild(heading);
+  return section;
+}
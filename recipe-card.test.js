@@ -0,0 +1,128 @@
+import { renderRecipeCard, renderServingsControl, formatMinutes, describeYield } from './recipe-card.js';
+import { scaleRecipe } from './recipe-scaler.js';
+
+describe('renderRecipeCard', () => {
+  const recipe = {
+    source: 'json-ld',
+    title: 'Lasagna',
+    description: 'Layered and baked.',
+    image: 'https://example.com/hero.jpg',
+    yield: '6 servings',
+    prepTime: 20,
+    cookTime: 60,
+    totalTime: 80,
+    ingredients: ['1 lb pasta', '2 cups sauce'],
+    instructions: [
+      { section: 'Sauce', text: 'Simmer the sauce.' },
+      { section: 'Assembly', text: 'Layer.', image: 'https://example.com/layer.jpg' },
+      { section: 'Assembly', text: 'Bake.' }
+    ],
+    notes: ['Freezes well.'],
+    tags: []
+  };
+
+  test('should render title, image, times and notes', () => {
+    const card = renderRecipeCard(recipe);
+
+    expect(card.querySelector('.recipe-title').textContent).toBe('Lasagna');
+    expect(card.querySelector('.recipe-hero').src).toBe('https://example.com/hero.jpg');
+    expect(Array.from(card.querySelectorAll('.recipe-meta dd')).map((dd) => dd.textContent))
+      .toEqual(['6 servings', '20 min', '1 hr', '1 hr 20 min']);
+    expect(card.querySelector('.recipe-notes li').textContent).toBe('Freezes well.');
+  });
+
+  test('should show the scaled yield, as the export does', () => {
+    const card = renderRecipeCard(scaleRecipe({ ...recipe, parsedIngredients: [] }, 12));
+
+    expect(card.querySelector('.recipe-meta dd').textContent).toBe('12 servings (scaled from 6 servings)');
+  });
+
+  test('should render checkable ingredients', () => {
+    const card = renderRecipeCard(recipe);
+    const items = card.querySelectorAll('.recipe-ingredients li');
+
+    expect(items).toHaveLength(2);
+    expect(items[0].querySelector('input').type).toBe('checkbox');
+    expect(items[1].textContent).toBe('2 cups sauce');
+  });
+
+  test('should number steps continuously across sections', () => {
+    const card = renderRecipeCard(recipe);
+    const headings = card.querySelectorAll('.recipe-instructions h4');
+    const lists = card.querySelectorAll('.recipe-instructions ol');
+
+    expect(Array.from(headings).map((h) => h.textContent)).toEqual(['Sauce', 'Assembly']);
+    expect(Array.from(lists).map((ol) => ol.start)).toEqual([1, 2]);
+    expect(lists[1].children).toHaveLength(2);
+  });
+
+  test('should show step photos', () => {
+    const card = renderRecipeCard(recipe);
+    const images = card.querySelectorAll('.recipe-step-image');
+
+    expect(images).toHaveLength(1);
+    expect(images[0].src).toBe('https://example.com/layer.jpg');
+    expect(images[0].closest('li').textContent).toBe('Layer.');
+  });
+
+  test('should skip empty parts', () => {
+    const card = renderRecipeCard({ title: '', ingredients: [], instructions: [] });
+
+    expect(card.querySelector('.recipe-title').textContent).toBe('Untitled recipe');
+    expect(card.querySelector('.recipe-hero')).toBeNull();
+    expect(card.querySelector('.recipe-meta')).toBeNull();
+    expect(card.querySelector('.recipe-ingredients')).toBeNull();
+  });
+});
+
+describe('renderServingsControl', () => {
+  const recipe = { yield: '4 servings', ingredients: ['1 cup rice'], parsedIngredients: [] };
+
+  const button = (control, text) =>
+    Array.from(control.querySelectorAll('button')).find((b) => b.textContent === text);
+
+  test('should report the new servings count', () => {
+    const onChange = jest.fn();
+    const control = renderServingsControl(recipe, onChange);
+
+    expect(control.querySelector('input').value).toBe('4');
+    button(control, '2×').click();
+    button(control, '−').click();
+
+    expect(onChange.mock.calls).toEqual([[8], [3]]);
+  });
+
+  test('should offer a reset once scaled', () => {
+    const onChange = jest.fn();
+    const control = renderServingsControl(scaleRecipe(recipe, 2), onChange);
+
+    expect(control.querySelector('input').value).toBe('2');
+    button(control, 'Reset').click();
+
+    expect(onChange).toHaveBeenCalledWith(4);
+  });
+});
+
+describe('describeYield', () => {
+  const soup = { yield: '4 servings', ingredients: ['2 cups stock'], parsedIngredients: [] };
+
+  test('should keep the yield of an unscaled recipe', () => {
+    expect(describeYield(soup)).toBe('4 servings');
+    expect(describeYield(scaleRecipe(soup, 4))).toBe('4 servings');
+  });
+
+  test('should count batches when the recipe has no yield', () => {
+    const noYield = { ...soup, yield: '' };
+
+    expect(describeYield(scaleRecipe(noYield, 2))).toBe('2 batches');
+  });
+});
+
+describe('formatMinutes', () => {
+  test('should format minutes as hours and minutes', () => {
+    expect(formatMinutes(45)).toBe('45 min');
+    expect(formatMinutes(120)).toBe('2 hr');
+    expect(formatMinutes(95)).toBe('1 hr 35 min');
+    expect(formatMinutes(null)).toBe('');
+  });
+});
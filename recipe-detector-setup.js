@@ -0,0 +1,43 @@
+// recipe-detector-setup.js - Register the recipe badge's content script where the user allowed it
+
+const DETECTOR_SCRIPT_ID = "recipe-detector";
+const WEB_ORIGIN_PATTERN = /^(https?|\*):\/\//;
+
+// Syncs are chained so two permission changes can't register the script twice
+let pendingSync = Promise.resolve();
+
+/**
+ * Register recipe-detector.js on the web sites the user granted optional access
+ * to, and nowhere else. The badge is only a hint, so it never asks for access
+ * itself; it follows what the Batch tab or the context menu were given.
+ * Call it at startup and whenever permissions change.
+ * @returns {Promise<void>}
+ */
+export function syncRecipeDetector() {
+  pendingSync = pendingSync.then(applyRegistration).catch((error) => {
+    console.error("Failed to register the recipe detector:", error);
+  });
+  return pendingSync;
+}
+
+async function applyRegistration() {
+  const { origins = [] } = await chrome.permissions.getAll();
+  // The recipe API and Google sign-in are always allowed; they aren't recipe sites
+  const required = chrome.runtime.getManifest().host_permissions || [];
+  const matches = origins.filter((origin) => WEB_ORIGIN_PATTERN.test(origin) && !required.includes(origin));
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [DETECTOR_SCRIPT_ID] });
+
+  if (matches.length === 0) {
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [DETECTOR_SCRIPT_ID] });
+    }
+    return;
+  }
+
+  const script = { id: DETECTOR_SCRIPT_ID, js: ["recipe-detector.js"], matches, runAt: "document_idle" };
+  if (registered.length > 0) {
+    await chrome.scripting.updateContentScripts([script]);
+  } else {
+    await chrome.scripting.registerContentScripts([script]);
+  }
+}
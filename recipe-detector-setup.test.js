@@ -0,0 +1,64 @@
+import { syncRecipeDetector } from './recipe-detector-setup.js';
+
+let granted;
+let registered;
+global.chrome = {
+  permissions: {
+    getAll: jest.fn(async () => ({ origins: granted }))
+  },
+  runtime: {
+    getManifest: () => ({ host_permissions: ['https://cookbook-577683305271.us-west1.run.app/*'] })
+  },
+  scripting: {
+    getRegisteredContentScripts: jest.fn(async () => registered),
+    registerContentScripts: jest.fn(async (scripts) => {
+      registered = scripts;
+    }),
+    updateContentScripts: jest.fn(async (scripts) => {
+      registered = scripts;
+    }),
+    unregisterContentScripts: jest.fn(async () => {
+      registered = [];
+    })
+  }
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  granted = ['https://cookbook-577683305271.us-west1.run.app/*'];
+  registered = [];
+});
+
+describe('syncRecipeDetector', () => {
+  test('should not register the detector without optional access', async () => {
+    await syncRecipeDetector();
+
+    expect(chrome.scripting.registerContentScripts).not.toHaveBeenCalled();
+  });
+
+  test('should register the detector on the sites granted, once', async () => {
+    granted.push('https://recipes.example.org/*');
+
+    await Promise.all([syncRecipeDetector(), syncRecipeDetector()]);
+
+    expect(chrome.scripting.registerContentScripts).toHaveBeenCalledTimes(1);
+    expect(registered).toEqual([expect.objectContaining({
+      id: 'recipe-detector',
+      js: ['recipe-detector.js'],
+      matches: ['https://recipes.example.org/*']
+    })]);
+  });
+
+  test('should follow access being widened and removed', async () => {
+    granted.push('https://recipes.example.org/*');
+    await syncRecipeDetector();
+
+    granted = ['http://*/*', 'https://*/*'];
+    await syncRecipeDetector();
+    expect(registered[0].matches).toEqual(['http://*/*', 'https://*/*']);
+
+    granted = [];
+    await syncRecipeDetector();
+    expect(chrome.scripting.unregisterContentScripts).toHaveBeenCalledWith({ ids: ['recipe-detector'] });
+  });
+});
@@ -0,0 +1,97 @@
+// recipe-detector.js - Content script that counts the recipes on each page for the toolbar badge.
+// It is registered only on sites the user gave the extension access to (see
+// recipe-detector-setup.js), but runs on every page there, so it only looks for cheap
+// signals, and the count is all it sends. Content scripts can't be modules, hence the plain script.
+(() => {
+  const NAVIGATION_RENDER_DELAY = 1000;
+
+  /**
+   * Whether a schema.org type value names a Recipe ("Recipe", "schema:Recipe",
+   * "https://schema.org/Recipe", or one of several space-separated types)
+   * @param {*} value - @type, itemtype or typeof value
+   * @returns {boolean}
+   */
+  function isRecipeType(value) {
+    return String(value).split(/\s+/).some((token) => /(^|[/:#])Recipe$/.test(token));
+  }
+
+  function countJsonLdRecipes() {
+    let count = 0;
+    const visit = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if (!node || typeof node !== "object") {
+        return;
+      }
+      if ([].concat(node["@type"] || []).some(isRecipeType)) {
+        count++;
+      }
+      // Recipes are often nested in a @graph, or are the mainEntity of a WebPage
+      visit(node["@graph"]);
+      visit(node.mainEntity);
+    };
+
+    document.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+      try {
+        visit(JSON.parse(script.textContent));
+      } catch (error) {
+        // Malformed blocks are common; they just don't count
+      }
+    });
+    return count;
+  }
+
+  function countMarkedUpRecipes(selector, typeAttr) {
+    return Array.from(document.querySelectorAll(selector))
+      .filter((el) => isRecipeType(el.getAttribute(typeAttr)))
+      .length;
+  }
+
+  /**
+   * Pages without structured data: an ingredient list plus instructions
+   * @returns {boolean}
+   */
+  function hasRecipeStructure() {
+    const headings = Array.from(document.querySelectorAll("h1, h2, h3, h4, h5, h6"))
+      .map((heading) => heading.textContent.trim());
+    const hasIngredients = headings.some((text) => /^ingredients\b/i.test(text)) ||
+      document.querySelectorAll('[class*="ingredient"] li, [id*="ingredient"] li').length >= 2;
+    const hasInstructions = headings.some((text) => /^(instructions|directions|method|preparation|steps)\b/i.test(text)) ||
+      document.querySelector('[class*="instruction"], [class*="direction"], [id*="instruction"]') !== null;
+    return hasIngredients && hasInstructions;
+  }
+
+  function report() {
+    // A page often describes the same recipes in more than one format, so take the largest count
+    const structuredCount = Math.max(
+      countJsonLdRecipes(),
+      countMarkedUpRecipes("[itemscope][itemtype]", "itemtype"),
+      countMarkedUpRecipes("[typeof]", "typeof"),
+    );
+    const count = structuredCount || (hasRecipeStructure() ? 1 : 0);
+
+    chrome.runtime.sendMessage({ action: "recipes-detected", count }).catch(() => {
+      // The service worker may be updating; the next navigation reports again
+    });
+  }
+
+  // Single-page apps change the URL without loading a new page. Count again
+  // once the new view has had time to render.
+  let lastUrl = location.href;
+  function reportAfterNavigation() {
+    if (location.href === lastUrl) {
+      return;
+    }
+    lastUrl = location.href;
+    setTimeout(report, NAVIGATION_RENDER_DELAY);
+  }
+
+  report();
+  if (window.navigation) {
+    window.navigation.addEventListener("navigatesuccess", reportAfterNavigation);
+  }
+  window.addEventListener("popstate", reportAfterNavigation);
+  window.addEventListener("hashchange", reportAfterNavigation);
+})();
@@ -0,0 +1,77 @@
+global.chrome = {
+  runtime: {
+    sendMessage: jest.fn().mockResolvedValue(undefined)
+  }
+};
+
+// Run the content script on the current document and return the count it reports
+const detect = () => {
+  jest.isolateModules(() => {
+    require('./recipe-detector.js');
+  });
+  const calls = chrome.runtime.sendMessage.mock.calls;
+  return calls[calls.length - 1][0].count;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  document.head.innerHTML = '';
+  document.body.innerHTML = '';
+});
+
+describe('recipe-detector', () => {
+  test('should count JSON-LD recipes, including ones in a @graph', () => {
+    document.head.innerHTML = `
+      <script type="application/ld+json">{"@type": ["Recipe", "NewsArticle"], "name": "Soup"}</script>
+      <script type="application/ld+json">
+        {"@graph": [{"@type": "WebPage", "mainEntity": {"@type": "Recipe", "name": "Stew"}}, {"@type": "Person"}]}
+      </script>
+      <script type="application/ld+json">{ not json</script>
+    `;
+
+    expect(detect()).toBe(2);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'recipes-detected', count: 2 });
+  });
+
+  test('should not count the same recipe twice across formats', () => {
+    document.head.innerHTML = '<script type="application/ld+json">{"@type": "Recipe"}</script>';
+    document.body.innerHTML = `
+      <div itemscope itemtype="https://schema.org/Recipe"></div>
+      <div typeof="schema:Recipe"></div>
+      <div itemscope itemtype="https://schema.org/Person"></div>
+    `;
+
+    expect(detect()).toBe(1);
+  });
+
+  test('should recognize an ingredient list with instructions', () => {
+    document.body.innerHTML = `
+      <h2>Ingredients</h2><ul><li>2 eggs</li><li>1 cup milk</li></ul>
+      <h2>Directions</h2><p>Whisk together.</p>
+    `;
+
+    expect(detect()).toBe(1);
+  });
+
+  test('should count again after an in-page navigation', () => {
+    jest.useFakeTimers();
+    try {
+      expect(detect()).toBe(0);
+
+      history.pushState({}, '', '/recipes/soup');
+      document.body.innerHTML = '<div itemscope itemtype="https://schema.org/Recipe"></div>';
+      window.dispatchEvent(new PopStateEvent('popstate'));
+      jest.runAllTimers();
+
+      expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith({ action: 'recipes-detected', count: 1 });
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should report nothing on other pages', () => {
+    document.body.innerHTML = '<h1>Ingredients of a good blog</h1><p>Some thoughts.</p>';
+
+    expect(detect()).toBe(0);
+  });
+});
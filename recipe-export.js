@@ -0,0 +1,70 @@
+// recipe-export.js - Export a recipe as a Markdown file, as scaled and converted on screen
+import { formatMinutes, describeYield } from "./recipe-card.js";
+
+/**
+ * Write a recipe as Markdown, with the ingredient quantities it has now
+ * @param {Object} recipe - Normalized recipe, as displayed (including scaling)
+ * @param {Object} [origin]
+ * @param {string} [origin.url] - Source page, linked at the end
+ * @returns {string} Markdown text
+ */
+export function recipeToMarkdown(recipe, { url } = {}) {
+  const lines = [`# ${recipe.title || "Untitled recipe"}`, ""];
+
+  if (recipe.description) {
+    lines.push(recipe.description, "");
+  }
+
+  const facts = [
+    ["Yield", describeYield(recipe)],
+    ["Prep", formatMinutes(recipe.prepTime)],
+    ["Cook", formatMinutes(recipe.cookTime)],
+    ["Total", formatMinutes(recipe.totalTime)],
+  ].filter(([, value]) => value);
+  if (facts.length > 0) {
+    lines.push(facts.map(([label, value]) => `**${label}:** ${value}`).join(" · "), "");
+  }
+
+  if (recipe.ingredients && recipe.ingredients.length > 0) {
+    lines.push("## Ingredients", "", ...recipe.ingredients.map((ingredient) => `- ${ingredient}`), "");
+  }
+
+  if (recipe.instructions && recipe.instructions.length > 0) {
+    lines.push("## Instructions", "");
+    let section = null;
+    let number = 0;
+    recipe.instructions.forEach((step) => {
+      if (step.section && step.section !== section) {
+        section = step.section;
+        number = 0;
+        lines.push(`### ${section}`, "");
+      }
+      number++;
+      lines.push(`${number}. ${step.text}`);
+    });
+    lines.push("");
+  }
+
+  if (recipe.notes && recipe.notes.length > 0) {
+    lines.push("## Notes", "", ...recipe.notes.map((note) => `- ${note}`), "");
+  }
+
+  if (url) {
+    lines.push(`Source: ${url}`, "");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * A file name for the exported recipe: "tomato-soup.md"
+ * @param {Object} recipe - Normalized recipe
+ * @returns {string} File name
+ */
+export function exportFileName(recipe) {
+  const slug = (recipe.title || "recipe")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 60);
+  return `${slug || "recipe"}.md`;
+}
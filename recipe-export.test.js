@@ -0,0 +1,59 @@
+import { recipeToMarkdown, exportFileName } from './recipe-export.js';
+import { scaleRecipe } from './recipe-scaler.js';
+import { parseRecipeIngredients } from './ingredient-parser.js';
+
+const soup = parseRecipeIngredients({
+  title: 'Tomato Soup!',
+  description: 'Quick and warming',
+  yield: '4 servings',
+  prepTime: 10,
+  cookTime: 75,
+  ingredients: ['2 cups stock', '1 onion'],
+  instructions: [
+    { section: null, text: 'Chop the onion.' },
+    { section: 'Soup', text: 'Simmer.' },
+    { section: 'Soup', text: 'Blend.' }
+  ],
+  notes: ['Freezes well']
+});
+
+describe('recipeToMarkdown', () => {
+  test('should write the recipe with its scaled quantities', () => {
+    const markdown = recipeToMarkdown(scaleRecipe(soup, 8), { url: 'https://example.com/soup' });
+
+    expect(markdown).toBe([
+      '# Tomato Soup!',
+      '',
+      'Quick and warming',
+      '',
+      '**Yield:** 8 servings (scaled from 4 servings) · **Prep:** 10 min · **Cook:** 1 hr 15 min',
+      '',
+      '## Ingredients',
+      '',
+      '- 4 cups stock',
+      '- 2 onion',
+      '',
+      '## Instructions',
+      '',
+      '1. Chop the onion.',
+      '### Soup',
+      '',
+      '1. Simmer.',
+      '2. Blend.',
+      '',
+      '## Notes',
+      '',
+      '- Freezes well',
+      '',
+      'Source: https://example.com/soup',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('exportFileName', () => {
+  test('should turn the title into a file name', () => {
+    expect(exportFileName(soup)).toBe('tomato-soup.md');
+    expect(exportFileName({})).toBe('recipe.md');
+  });
+});
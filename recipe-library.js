@@ -0,0 +1,193 @@
+// recipe-library.js - Saved recipes stored locally in IndexedDB
+import { RecipeSearchIndex } from "./search-index.js";
+
+const DB_NAME = "recipe-library";
+const DB_VERSION = 1;
+const RECIPE_STORE = "recipes";
+
+let databasePromise = null;
+// Built from the database on the first search, then kept up to date on save/delete
+let searchIndexPromise = null;
+
+/**
+ * Save a recipe to the library, or update it if it already has an id
+ * @param {Object} entry - What to save
+ * @param {Object} entry.recipe - Normalized recipe, as displayed (including scaling)
+ * @param {string} entry.url - Source page URL
+ * @param {string} entry.tabTitle - Title of the tab it was extracted from
+ * @param {number} entry.extractedAt - Extraction timestamp (ms)
+ * @param {string} [entry.id] - Existing library id to overwrite
+ * @returns {Promise<Object>} The stored record
+ */
+export async function saveRecipe({ recipe, url, tabTitle, extractedAt, id }) {
+  const record = {
+    id: id || generateId(),
+    title: recipe.title || tabTitle || url,
+    recipe,
+    url,
+    tabTitle,
+    extractedAt,
+    savedAt: Date.now(),
+  };
+
+  await runRequest("readwrite", (store) => store.put(record));
+  if (searchIndexPromise) {
+    (await searchIndexPromise).add(record);
+  }
+  notifyLibraryChanged("saved", record.id);
+  return record;
+}
+
+/**
+ * List every saved recipe, most recently saved first
+ * @returns {Promise<Array<Object>>} Library records
+ */
+export async function listRecipes() {
+  const records = await runRequest("readonly", (store) => store.getAll());
+  return records.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Get one saved recipe
+ * @param {string} id - Library id
+ * @returns {Promise<Object|null>} The record, or null if it doesn't exist
+ */
+export async function getRecipe(id) {
+  const record = await runRequest("readonly", (store) => store.get(id));
+  return record || null;
+}
+
+/**
+ * Delete a saved recipe
+ * @param {string} id - Library id
+ * @returns {Promise<void>}
+ */
+export async function deleteRecipe(id) {
+  await runRequest("readwrite", (store) => store.delete(id));
+  if (searchIndexPromise) {
+    (await searchIndexPromise).remove(id);
+  }
+  notifyLibraryChanged("deleted", id);
+}
+
+/**
+ * Full-text search over saved recipes
+ * @param {string} query - Search text; "has: chickpeas" searches ingredients only
+ * @returns {Promise<Array<Object>>} Matching records, best match first
+ */
+export async function searchRecipes(query) {
+  const index = await getSearchIndex();
+  const matches = index.search(query);
+  if (matches.length === 0) {
+    return [];
+  }
+
+  const records = await runRequest("readonly", (store) => store.getAll());
+  const recordsById = new Map(records.map((record) => [record.id, record]));
+  return matches.map((match) => recordsById.get(match.id)).filter(Boolean);
+}
+
+/**
+ * Get the search index, building it from the database the first time
+ * @returns {Promise<RecipeSearchIndex>}
+ */
+function getSearchIndex() {
+  if (!searchIndexPromise) {
+    searchIndexPromise = runRequest("readonly", (store) => store.getAll())
+      .then((records) => {
+        const index = new RecipeSearchIndex();
+        records.forEach((record) => index.add(record));
+        return index;
+      })
+      .catch((error) => {
+        searchIndexPromise = null;
+        throw error;
+      });
+  }
+  return searchIndexPromise;
+}
+
+/**
+ * Tell other extension pages (popup, service worker) that the library changed,
+ * so their search indexes stay current
+ * @param {string} change - "saved" or "deleted"
+ * @param {string} id - Library id
+ */
+function notifyLibraryChanged(change, id) {
+  chrome.runtime.sendMessage({ action: "library-changed", change, id }).catch(() => {
+    // It's normal for this to fail if no other extension page is open
+  });
+}
+
+/**
+ * Apply a library change made in another extension page to our search index
+ * @param {Object} message - The library-changed message
+ */
+async function handleLibraryChanged(message) {
+  if (!searchIndexPromise) {
+    return; // Nothing built yet; it will be read fresh on the first search
+  }
+
+  const index = await searchIndexPromise;
+  if (message.change === "deleted") {
+    index.remove(message.id);
+  } else {
+    const record = await getRecipe(message.id);
+    if (record) {
+      index.add(record);
+    }
+  }
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.action === "library-changed") {
+    handleLibraryChanged(message).catch((error) => {
+      console.error("Failed to update search index:", error);
+    });
+  }
+});
+
+/**
+ * Open (and on first use, create) the library database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(RECIPE_STORE, { keyPath: "id" });
+        store.createIndex("savedAt", "savedAt");
+        store.createIndex("url", "url");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Run a single request against the recipe store and wait for its transaction
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function runRequest(mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(RECIPE_STORE, mode);
+    const request = makeRequest(transaction.objectStore(RECIPE_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function generateId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
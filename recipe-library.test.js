@@ -0,0 +1,111 @@
+import { IDBFactory } from 'fake-indexeddb';
+
+global.chrome = {
+  runtime: {
+    sendMessage: jest.fn().mockResolvedValue(undefined),
+    onMessage: { addListener: jest.fn() }
+  }
+};
+
+// fake-indexeddb clones records the way browsers do
+if (typeof structuredClone === 'undefined') {
+  global.structuredClone = (value) => JSON.parse(JSON.stringify(value));
+}
+
+const soup = {
+  recipe: { title: 'Tomato soup', ingredients: ['2 cups stock', '4 tomatoes'], instructions: [] },
+  url: 'https://example.com/soup',
+  tabTitle: 'Soup | Example',
+  extractedAt: 1
+};
+const stew = {
+  recipe: { title: 'Chickpea stew', ingredients: ['1 can chickpeas'], instructions: [] },
+  url: 'https://example.com/stew',
+  tabTitle: 'Stew | Example',
+  extractedAt: 2
+};
+
+// Re-imported per test with a fresh database, so nothing is cached between tests
+let library;
+
+beforeEach(async () => {
+  jest.resetModules();
+  jest.clearAllMocks();
+  global.indexedDB = new IDBFactory();
+  library = await import('./recipe-library.js');
+});
+
+describe('saveRecipe', () => {
+  test('should store a record that can be read back', async () => {
+    const record = await library.saveRecipe(soup);
+
+    expect(record).toEqual(expect.objectContaining({
+      id: expect.any(String),
+      title: 'Tomato soup',
+      url: soup.url,
+      savedAt: expect.any(Number)
+    }));
+    expect(await library.getRecipe(record.id)).toEqual(record);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'library-changed', change: 'saved', id: record.id });
+  });
+
+  test('should update the record when saved with its id', async () => {
+    const record = await library.saveRecipe(soup);
+
+    await library.saveRecipe({ ...soup, recipe: { ...soup.recipe, title: 'Roast tomato soup' }, id: record.id });
+
+    const records = await library.listRecipes();
+    expect(records).toHaveLength(1);
+    expect(records[0].title).toBe('Roast tomato soup');
+  });
+
+  test('should fall back to the tab title for untitled recipes', async () => {
+    const record = await library.saveRecipe({ ...soup, recipe: { ingredients: [] } });
+
+    expect(record.title).toBe('Soup | Example');
+  });
+});
+
+describe('getRecipe', () => {
+  test('should return null for unknown ids', async () => {
+    expect(await library.getRecipe('missing')).toBeNull();
+  });
+});
+
+describe('listRecipes', () => {
+  test('should list the most recently saved first', async () => {
+    const now = jest.spyOn(Date, 'now');
+    now.mockReturnValue(1000);
+    await library.saveRecipe(soup);
+    now.mockReturnValue(2000);
+    await library.saveRecipe(stew);
+    now.mockRestore();
+
+    const titles = (await library.listRecipes()).map((record) => record.title);
+
+    expect(titles).toEqual(['Chickpea stew', 'Tomato soup']);
+  });
+});
+
+describe('deleteRecipe', () => {
+  test('should remove the record and its search entry', async () => {
+    const record = await library.saveRecipe(soup);
+    expect(await library.searchRecipes('tomato')).toHaveLength(1);
+
+    await library.deleteRecipe(record.id);
+
+    expect(await library.getRecipe(record.id)).toBeNull();
+    expect(await library.searchRecipes('tomato')).toEqual([]);
+  });
+});
+
+describe('searchRecipes', () => {
+  test('should find records saved before and after the index was built', async () => {
+    await library.saveRecipe(soup);
+    expect((await library.searchRecipes('soup')).map((record) => record.title)).toEqual(['Tomato soup']);
+
+    await library.saveRecipe(stew);
+
+    expect((await library.searchRecipes('has: chickpeas')).map((record) => record.title)).toEqual(['Chickpea stew']);
+  });
+});
@@ -0,0 +1,163 @@
+// recipe-normalizer.js - Convert schema.org-style recipe data into the popup's recipe shape
+
+/**
+ * Normalize a schema.org Recipe node (or a similarly shaped object)
+ * into the flat recipe object the popup renders.
+ * @param {Object} raw - Recipe data as found on the page
+ * @param {string} source - Where the data came from (e.g. "json-ld")
+ * @returns {Object} Normalized recipe; `raw` keeps the data it was made from
+ */
+export function normalizeRecipe(raw, source) {
+  return {
+    source,
+    title: textValue(raw.name || raw.headline || raw.title),
+    description: textValue(raw.description),
+    image: imageUrl(raw.image),
+    author: authorName(raw.author),
+    yield: textValue(raw.recipeYield || raw.yield),
+    prepTime: durationToMinutes(raw.prepTime),
+    cookTime: durationToMinutes(raw.cookTime),
+    totalTime: durationToMinutes(raw.totalTime),
+    ingredients: toArray(raw.recipeIngredient || raw.ingredients || raw.ingredient)
+      .map(textValue)
+      .filter(Boolean),
+    instructions: flattenInstructions(raw.recipeInstructions || raw.instructions),
+    notes: toArray(raw.notes).map(textValue).filter(Boolean),
+    tags: collectTags(raw),
+    raw,
+  };
+}
+
+/**
+ * Parse an ISO 8601 duration ("PT1H30M") into minutes
+ * @param {string|number} value - Duration string or minutes
+ * @returns {number|null} Minutes, or null if the value can't be read
+ */
+export function durationToMinutes(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+
+  const text = textValue(value);
+  const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i.exec(text);
+  if (!match || text === "P" || text.toUpperCase() === "PT") {
+    return null;
+  }
+
+  const [, days, hours, minutes, seconds] = match.map((part) => parseFloat(part) || 0);
+  return Math.round(days * 1440 + hours * 60 + minutes + seconds / 60);
+}
+
+/**
+ * Flatten recipeInstructions into a list of steps, keeping HowToSection names
+ * @param {*} instructions - String, HowToStep, HowToSection or an array of them
+ * @param {string|null} section - Name of the enclosing section
+ * @returns {Array<{section: string|null, text: string, image?: string}>} Ordered steps
+ */
+function flattenInstructions(instructions, section = null) {
+  if (typeof instructions === "string") {
+    // A single text block: split on line breaks so each step stands alone
+    return instructions
+      .split(/\n+/)
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((text) => ({ section, text }));
+  }
+
+  return toArray(instructions).flatMap((item) => {
+    if (!item) {
+      return [];
+    }
+    if (typeof item === "string") {
+      return flattenInstructions(item, section);
+    }
+    if (hasType(item, "HowToSection")) {
+      const name = textValue(item.name) || section;
+      return flattenInstructions(item.itemListElement || item.steps, name);
+    }
+    if (item.itemListElement) {
+      return flattenInstructions(item.itemListElement, section);
+    }
+
+    const text = textValue(item.text || item.name || item.description);
+    if (!text) {
+      return [];
+    }
+    const image = imageUrl(item.image);
+    return [image ? { section, text, image } : { section, text }];
+  });
+}
+
+/**
+ * Check whether a schema.org node has the given @type
+ * @param {Object} node - The node to check
+ * @param {string} type - Type name without prefix (e.g. "Recipe")
+ * @returns {boolean}
+ */
+export function hasType(node, type) {
+  if (!node || typeof node !== "object") {
+    return false;
+  }
+  return toArray(node["@type"]).some(
+    (value) => typeof value === "string" && value.split(/[/:#]/).pop() === type,
+  );
+}
+
+function collectTags(raw) {
+  const tags = [raw.keywords, raw.recipeCategory, raw.recipeCuisine]
+    .flatMap(toArray)
+    .flatMap((value) => textValue(value).split(","))
+    .map((tag) => tag.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+function authorName(author) {
+  const names = toArray(author)
+    .map((entry) => (typeof entry === "object" ? textValue(entry?.name) : textValue(entry)))
+    .filter(Boolean);
+  return names.join(", ");
+}
+
+function imageUrl(image) {
+  const first = toArray(image)[0];
+  if (!first) {
+    return "";
+  }
+  if (typeof first === "object") {
+    return textValue(first.url || first.contentUrl || first["@id"]);
+  }
+  return textValue(first);
+}
+
+function textValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return textValue(value[0]);
+  }
+  if (typeof value === "object") {
+    return textValue(value["@value"] ?? value.text ?? value.name ?? "");
+  }
+  return decodeEntities(String(value)).replace(/\s+/g, " ").trim();
+}
+
+function decodeEntities(text) {
+  // JSON-LD often carries HTML entities and stray tags from CMS templates
+  return text
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function toArray(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
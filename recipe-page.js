@@ -0,0 +1,120 @@
+// recipe-page.js - Full-page view of a saved or just-extracted recipe
+import { getRecipe, searchRecipes } from "./recipe-library.js";
+import { renderRecipeCard, renderServingsControl } from "./recipe-card.js";
+import { scaleRecipe } from "./recipe-scaler.js";
+import { convertRecipe, UNIT_SYSTEMS } from "./unit-conversion.js";
+import { getPreference, PREFERENCE_KEYS } from "./preferences.js";
+
+let pageContentElement;
+
+document.addEventListener("DOMContentLoaded", async () => {
+  pageContentElement = document.getElementById("page-content");
+
+  const params = new URLSearchParams(location.search);
+  try {
+    if (params.has("id")) {
+      await showRecipe(params.get("id"));
+    } else if (params.has("job")) {
+      await showJobResult(params.get("job"));
+    } else {
+      await showSearchResults(params.get("q") || "");
+    }
+  } catch (error) {
+    console.error("Failed to load recipe page:", error);
+    showMessage("Could not load your saved recipes.");
+  }
+});
+
+/**
+ * Show one saved recipe
+ * @param {string} id - Library id
+ */
+async function showRecipe(id) {
+  const record = await getRecipe(id);
+  if (!record) {
+    showMessage("This recipe is no longer in your library.");
+    return;
+  }
+
+  document.title = record.title;
+  const sourceLink = document.getElementById("source-link");
+  sourceLink.href = record.url;
+  sourceLink.style.display = "inline";
+
+  const unitSystem = await getPreference(PREFERENCE_KEYS.UNIT_SYSTEM, UNIT_SYSTEMS.ORIGINAL);
+  renderRecipe(record.recipe, unitSystem);
+}
+
+/**
+ * Show the result of a background extraction job, opened from its notification
+ * @param {string} jobId - Extraction job id
+ */
+async function showJobResult(jobId) {
+  const response = await chrome.runtime.sendMessage({ action: "get-extraction-job", jobId });
+  const job = response && response.job;
+  if (!job || !job.result) {
+    showMessage("This extraction result has expired. Open the recipe page and extract it again.");
+    return;
+  }
+
+  document.title = job.result.title || job.title;
+  const sourceLink = document.getElementById("source-link");
+  sourceLink.href = job.url;
+  sourceLink.style.display = "inline";
+
+  const unitSystem = await getPreference(PREFERENCE_KEYS.UNIT_SYSTEM, UNIT_SYSTEMS.ORIGINAL);
+  renderRecipe(job.result, unitSystem);
+}
+
+/**
+ * Render a recipe with its servings control; rescaling here is not saved
+ * @param {Object} recipe - Saved or extracted recipe
+ * @param {string} unitSystem - One of UNIT_SYSTEMS
+ */
+function renderRecipe(recipe, unitSystem) {
+  pageContentElement.innerHTML = "";
+  if (recipe.parsedIngredients && recipe.parsedIngredients.length > 0) {
+    pageContentElement.appendChild(
+      renderServingsControl(recipe, (servings) =>
+        renderRecipe(scaleRecipe(recipe, servings), unitSystem),
+      ),
+    );
+  }
+  pageContentElement.appendChild(renderRecipeCard(convertRecipe(recipe, unitSystem)));
+}
+
+/**
+ * List saved recipes matching a query, linking to their full pages
+ * @param {string} query - Search text from the omnibox
+ */
+async function showSearchResults(query) {
+  const records = await searchRecipes(query);
+  document.title = `Recipes matching "${query}"`;
+
+  if (records.length === 0) {
+    showMessage(`No saved recipes match "${query}".`);
+    return;
+  }
+
+  const list = document.createElement("ol");
+  list.className = "search-results";
+  records.forEach((record) => {
+    const item = document.createElement("li");
+    const link = document.createElement("a");
+    link.href = `recipe.html?id=${encodeURIComponent(record.id)}`;
+    link.textContent = record.title;
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+
+  pageContentElement.innerHTML = "";
+  pageContentElement.appendChild(list);
+}
+
+function showMessage(message) {
+  const paragraph = document.createElement("p");
+  paragraph.className = "library-empty";
+  paragraph.textContent = message;
+  pageContentElement.innerHTML = "";
+  pageContentElement.appendChild(paragraph);
+}
@@ -0,0 +1,143 @@
+// recipe-scaler.js - Rescale parsed ingredient quantities to a different serving size
+
+// Units measured on a scale or in a jug, where fractions read oddly
+const METRIC_UNITS = new Set(["g", "kg", "mg", "ml", "cl", "dl", "l"]);
+
+// Abbreviated units stay the same in the plural
+const INVARIANT_UNITS = new Set(["tbsp", "tsp", "fl oz", "oz", "lb", ...METRIC_UNITS]);
+
+const KITCHEN_FRACTIONS = [
+  [0, ""],
+  [1 / 8, "⅛"],
+  [1 / 4, "¼"],
+  [1 / 3, "⅓"],
+  [3 / 8, "⅜"],
+  [1 / 2, "½"],
+  [5 / 8, "⅝"],
+  [2 / 3, "⅔"],
+  [3 / 4, "¾"],
+  [7 / 8, "⅞"],
+  [1, ""],
+];
+
+/**
+ * Read the number of servings from a recipe's yield ("Serves 4-6", "12 cookies")
+ * @param {Object} recipe - Normalized recipe
+ * @returns {number|null} Servings, or null if the yield has no number
+ */
+export function getServings(recipe) {
+  const match = /(\d+(?:\.\d+)?)/.exec(recipe.yield || "");
+  const servings = match ? parseFloat(match[1]) : null;
+  return servings > 0 ? servings : null;
+}
+
+/**
+ * Scale a recipe's parsed ingredients to a new number of servings.
+ * Scaling always starts from the quantities of the original recipe, so
+ * a scaled (and saved) recipe can be rescaled without rounding drift.
+ * @param {Object} recipe - Recipe with `parsedIngredients`, possibly already scaled
+ * @param {number} servings - Target servings (or batches when the yield is unknown)
+ * @returns {Object} Copy of the recipe with scaled ingredients and a `scale` record
+ */
+export function scaleRecipe(recipe, servings) {
+  const base = recipe.scale
+    ? recipe.scale.base
+    : {
+        servings: getServings(recipe) || 1,
+        hasYield: getServings(recipe) !== null,
+        ingredients: recipe.ingredients,
+        parsedIngredients: recipe.parsedIngredients || [],
+      };
+  const factor = servings / base.servings;
+
+  if (factor === 1) {
+    return {
+      ...recipe,
+      ingredients: base.ingredients,
+      parsedIngredients: base.parsedIngredients,
+      scale: { base, servings, factor },
+    };
+  }
+
+  const parsedIngredients = base.parsedIngredients.map((ingredient) => ({
+    ...ingredient,
+    quantity: ingredient.quantity === null ? null : ingredient.quantity * factor,
+    quantityMax: ingredient.quantityMax === null ? null : ingredient.quantityMax * factor,
+  }));
+
+  return {
+    ...recipe,
+    ingredients: parsedIngredients.map(formatIngredient),
+    parsedIngredients,
+    scale: { base, servings, factor },
+  };
+}
+
+/**
+ * Format a quantity the way a cook would write it: "1½" cups, "250" g
+ * @param {number} value - The quantity
+ * @param {string|null} unit - Canonical unit from the ingredient parser
+ * @returns {string} Rounded quantity
+ */
+export function formatQuantity(value, unit = null) {
+  if (METRIC_UNITS.has(unit)) {
+    if (value >= 100) {
+      return String(Math.round(value / 5) * 5);
+    }
+    if (value >= 10) {
+      return String(Math.round(value));
+    }
+    return String(Math.round(value * 10) / 10);
+  }
+
+  if (value >= 20) {
+    return String(Math.round(value));
+  }
+
+  let whole = Math.floor(value);
+  const [fraction, symbol] = KITCHEN_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate[0] - (value - whole)) < Math.abs(best[0] - (value - whole)) ? candidate : best,
+  );
+  if (fraction === 1) {
+    whole += 1;
+  }
+  if (whole === 0 && !symbol) {
+    // Never round a real amount away to nothing
+    return "⅛";
+  }
+  return `${whole || ""}${symbol}`;
+}
+
+/**
+ * Turn a parsed ingredient back into a display line
+ * @param {Object} ingredient - Parsed ingredient
+ * @returns {string} Ingredient line, e.g. "3 cups onion, finely chopped (about 2)"
+ */
+export function formatIngredient(ingredient) {
+  if (ingredient.quantity === null) {
+    return ingredient.text;
+  }
+
+  let amount = formatQuantity(ingredient.quantity, ingredient.unit);
+  if (ingredient.quantityMax !== null) {
+    amount += `–${formatQuantity(ingredient.quantityMax, ingredient.unit)}`;
+  }
+
+  const largest = ingredient.quantityMax ?? ingredient.quantity;
+  const parts = [amount, ingredient.unit && unitLabel(ingredient.unit, largest), ingredient.item];
+  let line = parts.filter(Boolean).join(" ");
+  if (ingredient.preparation) {
+    line += `, ${ingredient.preparation}`;
+  }
+  if (ingredient.note) {
+    line += ` (${ingredient.note})`;
+  }
+  return line;
+}
+
+function unitLabel(unit, quantity) {
+  if (quantity <= 1 || INVARIANT_UNITS.has(unit)) {
+    return unit;
+  }
+  return /(?:ch|sh)$/.test(unit) ? `${unit}es` : `${unit}s`;
+}
@@ -0,0 +1,80 @@
+import { getServings, scaleRecipe, formatQuantity, formatIngredient } from './recipe-scaler.js';
+import { parseRecipeIngredients } from './ingredient-parser.js';
+
+describe('getServings', () => {
+  test('should read the first number of the yield', () => {
+    expect(getServings({ yield: 'Serves 4-6' })).toBe(4);
+    expect(getServings({ yield: '12 cookies' })).toBe(12);
+    expect(getServings({ yield: 'One loaf' })).toBeNull();
+    expect(getServings({})).toBeNull();
+  });
+});
+
+describe('formatQuantity', () => {
+  test('should round to kitchen fractions', () => {
+    expect(formatQuantity(1.5, 'cup')).toBe('1½');
+    expect(formatQuantity(0.33, 'cup')).toBe('⅓');
+    expect(formatQuantity(0.3, 'tsp')).toBe('⅓');
+    expect(formatQuantity(2.97, 'tbsp')).toBe('3');
+    expect(formatQuantity(0.01, 'tsp')).toBe('⅛');
+    expect(formatQuantity(24.4, null)).toBe('24');
+  });
+
+  test('should round metric amounts to whole numbers', () => {
+    expect(formatQuantity(333.33, 'g')).toBe('335');
+    expect(formatQuantity(37.5, 'ml')).toBe('38');
+    expect(formatQuantity(1.25, 'kg')).toBe('1.3');
+  });
+});
+
+describe('scaleRecipe', () => {
+  const recipe = parseRecipeIngredients({
+    title: 'Onion soup',
+    yield: '4 servings',
+    ingredients: [
+      '1 1/2 cups finely chopped onion (about 2)',
+      '2–3 cloves garlic',
+      '500 ml stock',
+      'Salt, to taste'
+    ]
+  });
+
+  test('should double every quantity', () => {
+    const scaled = scaleRecipe(recipe, 8);
+
+    expect(scaled.scale.factor).toBe(2);
+    expect(scaled.ingredients).toEqual([
+      '3 cups onion, finely chopped (about 2)',
+      '4–6 cloves garlic',
+      '1000 ml stock',
+      'Salt, to taste'
+    ]);
+  });
+
+  test('should halve using kitchen fractions', () => {
+    const scaled = scaleRecipe(recipe, 2);
+
+    expect(scaled.ingredients[0]).toBe('¾ cup onion, finely chopped (about 2)');
+    expect(scaled.ingredients[1]).toBe('1–1½ cloves garlic');
+  });
+
+  test('should rescale from the original quantities', () => {
+    const rescaled = scaleRecipe(scaleRecipe(recipe, 3), 4);
+
+    expect(rescaled.ingredients).toEqual(recipe.ingredients);
+    expect(rescaled.scale.base.servings).toBe(4);
+  });
+
+  test('should scale by batches when the yield is unknown', () => {
+    const batch = parseRecipeIngredients({ ingredients: ['1 egg'] });
+
+    expect(scaleRecipe(batch, 2).ingredients).toEqual(['2 egg']);
+    expect(scaleRecipe(batch, 2).scale.base.hasYield).toBe(false);
+  });
+});
+
+describe('formatIngredient', () => {
+  test('should return the original text when there is no quantity', () => {
+    expect(formatIngredient({ text: 'Pepper', quantity: null })).toBe('Pepper');
+  });
+});
@@ -0,0 +1,322 @@
+// request-queue.js - Persistent retry queue for /recipe requests that couldn't reach the API
+import { requestRecipe } from "./extension-functions.js";
+import { parseRecipeIngredients } from "./ingredient-parser.js";
+import { normalizeRecipe } from "./recipe-normalizer.js";
+import { isRetryable, RateLimitError } from "./api-client.js";
+
+const QUEUE_STORAGE_KEY = "request_queue";
+const RETRY_ALARM = "request-queue-retry";
+
+// Backoff doubles from BASE_DELAY up to MAX_DELAY between attempts
+const BASE_DELAY = 30 * 1000;
+const MAX_DELAY = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 8;
+// Every item carries the page HTML, so keep the queue small: chrome.storage.local
+// holds 10 MB for the whole extension, jobs and cached results included
+const MAX_ITEMS = 20;
+const MAX_ITEM_HTML = 1024 * 1024;
+const MAX_QUEUE_HTML = 4 * 1024 * 1024;
+
+export const QUEUE_STATUS = {
+  PENDING: "pending",
+  FAILED: "failed",
+};
+
+// Queue items, oldest first, loaded from storage once per service worker lifetime
+let itemsPromise = null;
+let pendingWrite = Promise.resolve();
+// Set while the queue is being worked through, so runs never overlap
+let processingPromise = null;
+// Called with (item, { recipe } | { error }) when an item leaves the pending state for good
+const settleListeners = [];
+
+/**
+ * Queue a /recipe request that couldn't reach the API
+ * @param {Object} request - What to retry
+ * @param {string} request.jobId - Extraction job waiting for the result
+ * @param {Object} request.tab - The tab the content came from ({ id, url, title })
+ * @param {string} request.html - Cleaned page HTML
+ * @param {string} request.error - Why the first attempt failed
+ * @param {number} [request.retryAfter] - How long the API asked us to wait (ms)
+ * @returns {Promise<Object|null>} The queued item, or null if the page is too large to keep
+ */
+export async function enqueueRecipeRequest({ jobId, tab, html, error, retryAfter = null }) {
+  if (html.length > MAX_ITEM_HTML) {
+    console.warn("Page too large to queue for a retry:", tab.url);
+    return null;
+  }
+
+  const items = await loadItems();
+  const now = Date.now();
+  const item = {
+    id: generateId(),
+    jobId,
+    tab: { id: tab.id, url: tab.url, title: tab.title },
+    html,
+    status: QUEUE_STATUS.PENDING,
+    attempts: 0,
+    lastError: error,
+    createdAt: now,
+    nextAttemptAt: now + (retryAfter ?? backoffDelay(0)),
+  };
+
+  items.push(item);
+  while (items.length > MAX_ITEMS || queuedHtmlSize(items) > MAX_QUEUE_HTML) {
+    const [dropped] = items.splice(0, 1);
+    console.warn("Request queue full, dropping oldest item:", dropped.id);
+    notifySettled(dropped, { error: "Dropped from a full retry queue" });
+  }
+
+  await saveItems(items);
+  await scheduleNextAttempt();
+  return item;
+}
+
+/**
+ * List queued items for display, without their page HTML
+ * @returns {Promise<Array<Object>>} Queue items, oldest first
+ */
+export async function getQueue() {
+  return summarize(await loadItems());
+}
+
+/**
+ * Send every due request now. Runs on the retry alarm and when connectivity returns.
+ * @param {Object} [options]
+ * @param {boolean} [options.all] - Also send pending requests that aren't due yet
+ * @returns {Promise<void>}
+ */
+export function processQueue({ all = false } = {}) {
+  if (!processingPromise) {
+    processingPromise = (async () => {
+      const items = await loadItems();
+      const now = Date.now();
+      const due = items.filter(
+        (item) => item.status === QUEUE_STATUS.PENDING && (all || item.nextAttemptAt <= now),
+      );
+
+      for (const item of due) {
+        await attempt(item);
+      }
+      await scheduleNextAttempt();
+    })().finally(() => {
+      processingPromise = null;
+    });
+  }
+  return processingPromise;
+}
+
+/**
+ * Retry a queued request right away, including one that has given up
+ * @param {string} id - Queue item id
+ * @returns {Promise<void>}
+ */
+export async function retryQueuedRequest(id) {
+  const items = await loadItems();
+  const item = items.find((candidate) => candidate.id === id);
+  if (!item) {
+    return;
+  }
+
+  item.status = QUEUE_STATUS.PENDING;
+  item.attempts = 0;
+  item.nextAttemptAt = Date.now();
+  await saveItems(items);
+  // Wait for any run in progress, which may not include this item
+  await processingPromise;
+  await processQueue();
+}
+
+/**
+ * Remove a request from the queue
+ * @param {string} id - Queue item id
+ * @returns {Promise<void>}
+ */
+export async function cancelQueuedRequest(id) {
+  const items = await loadItems();
+  const index = items.findIndex((item) => item.id === id);
+  if (index === -1) {
+    return;
+  }
+
+  const [item] = items.splice(index, 1);
+  await saveItems(items);
+  await scheduleNextAttempt();
+  notifySettled(item, { error: "Cancelled" });
+}
+
+/**
+ * Remove every queued request for an extraction job
+ * @param {string} jobId - Extraction job id
+ * @returns {Promise<void>}
+ */
+export async function cancelQueuedRequestsForJob(jobId) {
+  const items = await loadItems();
+  const ids = items.filter((item) => item.jobId === jobId).map((item) => item.id);
+  for (const id of ids) {
+    await cancelQueuedRequest(id);
+  }
+}
+
+/**
+ * Handle the retry alarm
+ * @param {chrome.alarms.Alarm} alarm - The alarm that fired
+ * @returns {Promise<void>}
+ */
+export async function handleQueueAlarm(alarm) {
+  if (alarm.name === RETRY_ALARM) {
+    await processQueue();
+  }
+}
+
+/**
+ * Register a listener for items that succeed, give up or are cancelled
+ * @param {Function} listener - Called with (item, { recipe } or { error })
+ */
+export function onQueueItemSettled(listener) {
+  settleListeners.push(listener);
+}
+
+/**
+ * Send one queued request and record the outcome
+ * @param {Object} item - Queue item (modified in place)
+ * @returns {Promise<void>}
+ */
+async function attempt(item) {
+  const items = await loadItems();
+  let recipe = null;
+
+  try {
+    recipe = parseRecipeIngredients(normalizeRecipe(await requestRecipe(item.tab, item.html), "api"));
+  } catch (error) {
+    item.lastError = error.message;
+
+    if (error instanceof RateLimitError) {
+      // Waiting out a rate limit doesn't count as a failed attempt
+      item.nextAttemptAt = Date.now() + (error.retryAfter ?? backoffDelay(item.attempts));
+    } else {
+      item.attempts += 1;
+      // Only outages are worth retrying; other error responses won't change by themselves
+      if (isRetryable(error) && item.attempts < MAX_ATTEMPTS) {
+        item.nextAttemptAt = Date.now() + backoffDelay(item.attempts);
+      } else {
+        item.status = QUEUE_STATUS.FAILED;
+        item.nextAttemptAt = null;
+      }
+    }
+  }
+
+  if (recipe) {
+    const index = items.indexOf(item);
+    if (index !== -1) {
+      items.splice(index, 1);
+    }
+  }
+  await saveItems(items);
+
+  if (recipe) {
+    notifySettled(item, { recipe });
+  } else if (item.status === QUEUE_STATUS.FAILED) {
+    notifySettled(item, { error: item.lastError });
+  }
+}
+
+/**
+ * Point the retry alarm at the earliest pending item, or clear it
+ * @returns {Promise<void>}
+ */
+async function scheduleNextAttempt() {
+  const items = await loadItems();
+  const pending = items.filter((item) => item.status === QUEUE_STATUS.PENDING);
+
+  if (pending.length === 0) {
+    await chrome.alarms.clear(RETRY_ALARM);
+    return;
+  }
+
+  const when = Math.min(...pending.map((item) => item.nextAttemptAt));
+  await chrome.alarms.create(RETRY_ALARM, { when: Math.max(when, Date.now() + 1000) });
+}
+
+/**
+ * Exponential backoff with jitter, so queued requests don't all retry at once
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempts) {
+  const delay = Math.min(BASE_DELAY * 2 ** attempts, MAX_DELAY);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function notifySettled(item, outcome) {
+  settleListeners.forEach((listener) => listener(item, outcome));
+}
+
+function queuedHtmlSize(items) {
+  return items.reduce((total, item) => total + item.html.length, 0);
+}
+
+function summarize(items) {
+  return items.map(({ html, ...summary }) => summary);
+}
+
+function loadItems() {
+  if (!itemsPromise) {
+    itemsPromise = chrome.storage.local
+      .get(QUEUE_STORAGE_KEY)
+      .then((stored) => stored[QUEUE_STORAGE_KEY] || [])
+      .catch((error) => {
+        itemsPromise = null;
+        throw error;
+      });
+  }
+  return itemsPromise;
+}
+
+/**
+ * Persist the queue and tell any open popup
+ * @param {Array<Object>} items - Queue items
+ * @returns {Promise<void>}
+ */
+function saveItems(items) {
+  const snapshot = [...items];
+  pendingWrite = pendingWrite
+    .then(() => writeItems(items, snapshot))
+    .catch((error) => {
+      console.error("Failed to save request queue:", error);
+    });
+
+  chrome.runtime.sendMessage({ action: "request-queue-changed", items: summarize(items) }).catch(() => {
+    // It's normal for this to fail if the popup is closed
+  });
+  return pendingWrite;
+}
+
+/**
+ * Write a queue snapshot. When extension storage is full, the oldest items are
+ * dropped until the rest fit, rather than losing every change to the queue.
+ * @param {Array<Object>} items - The loaded queue, modified in place when items are dropped
+ * @param {Array<Object>} snapshot - The queue as it was when the write was asked for
+ * @returns {Promise<void>}
+ */
+async function writeItems(items, snapshot) {
+  let pending = snapshot;
+  for (;;) {
+    try {
+      await chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: pending });
+      return;
+    } catch (error) {
+      if (!/quota/i.test(error.message) || items.length === 0) {
+        throw error;
+      }
+      const [dropped] = items.splice(0, 1);
+      console.warn("Extension storage full, dropping oldest queued request:", dropped.id);
+      notifySettled(dropped, { error: "Dropped because extension storage is full" });
+      pending = [...items];
+    }
+  }
+}
+
+function generateId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
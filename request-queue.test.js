@@ -0,0 +1,188 @@
+jest.mock('./extension-functions.js', () => ({
+  requestRecipe: jest.fn()
+}));
+
+// The API client's auth modules touch chrome storage on import
+jest.mock('./google-auth.js', () => ({ getAuthToken: jest.fn() }));
+jest.mock('./token-storage.js', () => ({ refreshAccessToken: jest.fn() }));
+
+// Minimal chrome API: storage.local backed by an object
+let stored;
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) => ({ [key]: stored[key] })),
+      set: jest.fn(async (items) => Object.assign(stored, items))
+    }
+  },
+  runtime: {
+    sendMessage: jest.fn().mockResolvedValue(undefined)
+  },
+  alarms: {
+    create: jest.fn().mockResolvedValue(undefined),
+    clear: jest.fn().mockResolvedValue(true)
+  }
+};
+
+const request = {
+  jobId: 'job-1',
+  tab: { id: 7, url: 'https://example.com/soup', title: 'Soup' },
+  html: '<p>Soup</p>',
+  error: 'Failed to fetch'
+};
+
+// Re-imported per test, so every test starts with an empty queue
+let queue;
+let requestRecipe;
+let NetworkError;
+let RateLimitError;
+
+beforeEach(async () => {
+  jest.resetModules();
+  jest.clearAllMocks();
+  stored = {};
+  console.warn = jest.fn();
+  ({ requestRecipe } = await import('./extension-functions.js'));
+  ({ NetworkError, RateLimitError } = await import('./api-client.js'));
+  queue = await import('./request-queue.js');
+});
+
+describe('enqueueRecipeRequest', () => {
+  test('should persist the request and schedule a retry', async () => {
+    const item = await queue.enqueueRecipeRequest(request);
+
+    expect(stored.request_queue).toHaveLength(1);
+    expect(item.status).toBe(queue.QUEUE_STATUS.PENDING);
+    expect(chrome.alarms.create).toHaveBeenCalledWith('request-queue-retry', {
+      when: expect.any(Number)
+    });
+  });
+
+  test('should list items without their page HTML', async () => {
+    await queue.enqueueRecipeRequest(request);
+
+    const [item] = await queue.getQueue();
+    expect(item.html).toBeUndefined();
+    expect(item.tab.title).toBe('Soup');
+  });
+
+  test('should refuse pages too large to keep', async () => {
+    const item = await queue.enqueueRecipeRequest({ ...request, html: 'x'.repeat(2 * 1024 * 1024) });
+
+    expect(item).toBeNull();
+    expect(stored.request_queue).toBeUndefined();
+  });
+
+  test('should drop the oldest items once the queued pages grow too large', async () => {
+    const listener = jest.fn();
+    queue.onQueueItemSettled(listener);
+    const html = 'x'.repeat(900 * 1024);
+
+    for (let i = 1; i <= 5; i++) {
+      await queue.enqueueRecipeRequest({ ...request, jobId: `job-${i}`, html });
+    }
+
+    expect(stored.request_queue.map((item) => item.jobId)).toEqual(['job-2', 'job-3', 'job-4', 'job-5']);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ jobId: 'job-1' }), {
+      error: 'Dropped from a full retry queue'
+    });
+  });
+
+  test('should drop the oldest items when storage is full', async () => {
+    const listener = jest.fn();
+    queue.onQueueItemSettled(listener);
+    await queue.enqueueRecipeRequest(request);
+
+    chrome.storage.local.set.mockRejectedValueOnce(new Error('QUOTA_BYTES quota exceeded'));
+    await queue.enqueueRecipeRequest({ ...request, jobId: 'job-2' });
+
+    expect(stored.request_queue.map((item) => item.jobId)).toEqual(['job-2']);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ jobId: 'job-1' }), {
+      error: 'Dropped because extension storage is full'
+    });
+  });
+});
+
+describe('processQueue', () => {
+  test('should remove the item and report the recipe on success', async () => {
+    requestRecipe.mockResolvedValue({ title: 'Soup', ingredients: ['1 cup stock'] });
+    const listener = jest.fn();
+    queue.onQueueItemSettled(listener);
+
+    await queue.enqueueRecipeRequest(request);
+    await queue.processQueue({ all: true });
+
+    expect(stored.request_queue).toHaveLength(0);
+    expect(chrome.alarms.clear).toHaveBeenCalledWith('request-queue-retry');
+    expect(listener.mock.calls[0][1].recipe.parsedIngredients[0]).toMatchObject({ unit: 'cup' });
+  });
+
+  test('should back off exponentially while the API is unreachable', async () => {
+    requestRecipe.mockRejectedValue(new NetworkError('Failed to fetch'));
+    await queue.enqueueRecipeRequest(request);
+
+    const delays = [];
+    for (let i = 0; i < 4; i++) {
+      const before = Date.now();
+      await queue.processQueue({ all: true });
+      delays.push(stored.request_queue[0].nextAttemptAt - before);
+    }
+
+    expect(stored.request_queue[0].attempts).toBe(4);
+    // Each delay is jittered within [half, full] of a doubling base
+    delays.forEach((delay, index) => {
+      const base = 30 * 1000 * 2 ** (index + 1);
+      expect(delay).toBeGreaterThanOrEqual(base / 2 - 50);
+      expect(delay).toBeLessThanOrEqual(base + 50);
+    });
+  });
+
+  test('should wait as long as the API asks when rate limited', async () => {
+    requestRecipe.mockRejectedValue(new RateLimitError('slow down', { retryAfter: 5 * 60 * 1000 }));
+    await queue.enqueueRecipeRequest(request);
+
+    const before = Date.now();
+    await queue.processQueue({ all: true });
+
+    const [item] = stored.request_queue;
+    expect(item.status).toBe(queue.QUEUE_STATUS.PENDING);
+    expect(item.attempts).toBe(0);
+    expect(item.nextAttemptAt - before).toBeGreaterThanOrEqual(5 * 60 * 1000);
+    expect(item.nextAttemptAt - before).toBeLessThanOrEqual(5 * 60 * 1000 + 50);
+  });
+
+  test('should give up on error responses without retrying', async () => {
+    requestRecipe.mockRejectedValue(new Error('API request failed (400): Bad Request'));
+    const listener = jest.fn();
+    queue.onQueueItemSettled(listener);
+
+    await queue.enqueueRecipeRequest(request);
+    await queue.processQueue({ all: true });
+
+    expect(stored.request_queue[0].status).toBe(queue.QUEUE_STATUS.FAILED);
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ jobId: 'job-1' }),
+      { error: 'API request failed (400): Bad Request' }
+    );
+  });
+
+  test('should only send items that are due', async () => {
+    await queue.enqueueRecipeRequest(request);
+    await queue.processQueue();
+
+    expect(requestRecipe).not.toHaveBeenCalled();
+  });
+});
+
+describe('cancelQueuedRequest', () => {
+  test('should remove the item and report it as cancelled', async () => {
+    const listener = jest.fn();
+    queue.onQueueItemSettled(listener);
+
+    const item = await queue.enqueueRecipeRequest(request);
+    await queue.cancelQueuedRequest(item.id);
+
+    expect(stored.request_queue).toHaveLength(0);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ id: item.id }), { error: 'Cancelled' });
+  });
+});
@@ -0,0 +1,180 @@
+// result-cache.js - Cache of extraction results, keyed by page URL and content
+import { getPreference, PREFERENCE_KEYS } from "./preferences.js";
+
+const CACHE_STORAGE_KEY = "result_cache";
+export const DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000;
+// Approximate size of all entries, in characters of JSON; least recently used go first
+const MAX_CACHE_SIZE = 2 * 1024 * 1024;
+// Query parameters that never change what a page shows
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref)$/i;
+
+// key -> { url, hash, recipe, cachedAt, lastUsedAt, size }, loaded from storage once
+let entriesPromise = null;
+// Storage writes are chained so an older snapshot never overwrites a newer one
+let pendingWrite = Promise.resolve();
+
+/**
+ * Normalize a URL so trivially different links to a page share a cache entry:
+ * no fragment, no tracking parameters, sorted query, no trailing slash
+ * @param {string} url - Page URL
+ * @returns {string} Normalized URL, or the input if it can't be parsed
+ */
+export function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+
+  parsed.hash = "";
+  const params = [...parsed.searchParams].filter(([name]) => !TRACKING_PARAMS.test(name));
+  params.sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith("/")) {
+    parsed.pathname = parsed.pathname.slice(0, -1);
+  }
+  return parsed.toString();
+}
+
+/**
+ * Hash page content (53-bit cyrb53). Not cryptographic; it only has to tell
+ * apart versions of the same page.
+ * @param {string} content - Cleaned page HTML
+ * @returns {string} Hex digest
+ */
+export function hashContent(content) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < content.length; i++) {
+    const code = content.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Look up the result for a page whose content hasn't changed since it was cached
+ * @param {string} url - Page URL
+ * @param {string} html - Cleaned page HTML from extractPageContent
+ * @returns {Promise<Object|null>} { recipe, cachedAt }, or null on a miss
+ */
+export async function getCachedResult(url, html) {
+  const ttl = await getCacheTtl();
+  if (ttl <= 0) {
+    return null;
+  }
+
+  const entries = await loadEntries();
+  const key = cacheKey(url, html);
+  const entry = entries.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.cachedAt + ttl < Date.now()) {
+    entries.delete(key);
+    await persistEntries(entries);
+    return null;
+  }
+
+  entry.lastUsedAt = Date.now();
+  await persistEntries(entries);
+  return { recipe: entry.recipe, cachedAt: entry.cachedAt };
+}
+
+/**
+ * Cache the result for a page, evicting the least recently used entries
+ * once the cache is over its size budget
+ * @param {string} url - Page URL
+ * @param {string} html - Cleaned page HTML the recipe was extracted from
+ * @param {Object} recipe - Extracted recipe
+ * @returns {Promise<void>}
+ */
+export async function cacheResult(url, html, recipe) {
+  if ((await getCacheTtl()) <= 0) {
+    return;
+  }
+
+  const entries = await loadEntries();
+  const now = Date.now();
+  const entry = {
+    url: normalizeUrl(url),
+    hash: hashContent(html),
+    recipe,
+    cachedAt: now,
+    lastUsedAt: now,
+    size: JSON.stringify(recipe).length,
+  };
+  if (entry.size > MAX_CACHE_SIZE) {
+    return;
+  }
+
+  entries.set(cacheKey(url, html), entry);
+  evictEntries(entries);
+  await persistEntries(entries);
+}
+
+/**
+ * Drop every cached result
+ * @returns {Promise<void>}
+ */
+export async function clearResultCache() {
+  const entries = await loadEntries();
+  entries.clear();
+  await persistEntries(entries);
+}
+
+function cacheKey(url, html) {
+  return `${normalizeUrl(url)} ${hashContent(html)}`;
+}
+
+async function getCacheTtl() {
+  return getPreference(PREFERENCE_KEYS.CACHE_TTL, DEFAULT_CACHE_TTL);
+}
+
+/**
+ * Remove the least recently used entries until the cache fits MAX_CACHE_SIZE
+ * @param {Map<string, Object>} entries - Loaded entries, modified in place
+ */
+function evictEntries(entries) {
+  let total = 0;
+  entries.forEach((entry) => {
+    total += entry.size;
+  });
+
+  const oldestFirst = [...entries].sort(([, a], [, b]) => a.lastUsedAt - b.lastUsedAt);
+  for (const [key, entry] of oldestFirst) {
+    if (total <= MAX_CACHE_SIZE) {
+      break;
+    }
+    entries.delete(key);
+    total -= entry.size;
+  }
+}
+
+function loadEntries() {
+  if (!entriesPromise) {
+    entriesPromise = chrome.storage.local
+      .get(CACHE_STORAGE_KEY)
+      .then((stored) => new Map(Object.entries(stored[CACHE_STORAGE_KEY] || {})))
+      .catch((error) => {
+        entriesPromise = null;
+        throw error;
+      });
+  }
+  return entriesPromise;
+}
+
+function persistEntries(entries) {
+  const snapshot = Object.fromEntries(entries);
+  pendingWrite = pendingWrite
+    .then(() => chrome.storage.local.set({ [CACHE_STORAGE_KEY]: snapshot }))
+    .catch((error) => {
+      console.error("Failed to save result cache:", error);
+    });
+  return pendingWrite;
+}
@@ -0,0 +1,93 @@
+// Minimal chrome API: storage.local backed by an object
+let stored;
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async (key) => ({ [key]: stored[key] })),
+      set: jest.fn(async (items) => Object.assign(stored, items))
+    }
+  }
+};
+
+const url = 'https://example.com/soup';
+const html = '<p>Soup</p>';
+const recipe = { title: 'Soup', source: 'api' };
+
+// Re-imported per test, so every test starts with an empty cache
+let cache;
+
+beforeEach(async () => {
+  jest.resetModules();
+  stored = {};
+  cache = await import('./result-cache.js');
+});
+
+describe('normalizeUrl', () => {
+  test('should ignore fragments, tracking parameters, parameter order and trailing slashes', () => {
+    expect(cache.normalizeUrl('https://Example.com/soup/?b=2&utm_source=x&a=1#step-3'))
+      .toBe('https://example.com/soup?a=1&b=2');
+  });
+
+  test('should leave unparseable URLs alone', () => {
+    expect(cache.normalizeUrl('not a url')).toBe('not a url');
+  });
+});
+
+describe('hashContent', () => {
+  test('should tell different content apart', () => {
+    expect(cache.hashContent(html)).toBe(cache.hashContent(html));
+    expect(cache.hashContent(html)).not.toBe(cache.hashContent('<p>Stew</p>'));
+  });
+});
+
+describe('getCachedResult', () => {
+  test('should return the result for the same page and content', async () => {
+    await cache.cacheResult(url, html, recipe);
+
+    const hit = await cache.getCachedResult(`${url}?utm_medium=email`, html);
+    expect(hit.recipe).toEqual(recipe);
+    expect(hit.cachedAt).toEqual(expect.any(Number));
+  });
+
+  test('should miss once the page content changes', async () => {
+    await cache.cacheResult(url, html, recipe);
+
+    expect(await cache.getCachedResult(url, '<p>Soup, updated</p>')).toBeNull();
+  });
+
+  test('should expire entries after the configured TTL', async () => {
+    stored.pref_cache_ttl = 60 * 1000;
+    await cache.cacheResult(url, html, recipe);
+    const key = Object.keys(stored.result_cache)[0];
+    stored.result_cache[key].cachedAt -= 2 * 60 * 1000;
+
+    expect(await cache.getCachedResult(url, html)).toBeNull();
+    expect(stored.result_cache).toEqual({});
+  });
+
+  test('should not cache at all when the TTL is 0', async () => {
+    stored.pref_cache_ttl = 0;
+    await cache.cacheResult(url, html, recipe);
+
+    expect(stored.result_cache).toBeUndefined();
+    expect(await cache.getCachedResult(url, html)).toBeNull();
+  });
+});
+
+describe('cacheResult', () => {
+  test('should evict the least recently used entries over the size budget', async () => {
+    // Three of these fit in the 2 MB budget, four don't
+    const big = (title) => ({ title, notes: ['x'.repeat(600 * 1024)] });
+    await cache.cacheResult('https://example.com/a', html, big('A'));
+    await cache.cacheResult('https://example.com/b', html, big('B'));
+    await cache.cacheResult('https://example.com/c', html, big('C'));
+    // Reading A makes B the least recently used
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await cache.getCachedResult('https://example.com/a', html);
+    await cache.cacheResult('https://example.com/d', html, big('D'));
+
+    expect(await cache.getCachedResult('https://example.com/b', html)).toBeNull();
+    expect((await cache.getCachedResult('https://example.com/a', html)).recipe.title).toBe('A');
+    expect(Object.keys(stored.result_cache)).toHaveLength(3);
+  });
+});
@@ -0,0 +1,211 @@
+// search-index.js - In-memory inverted index over saved recipes
+
+// How much a match in each field counts towards the ranking
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  ingredients: 2,
+  instructions: 1,
+};
+
+// Prefix matches ("chick" for "chickpea") rank below whole-word matches
+const PREFIX_PENALTY = 0.5;
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "the", "of", "to", "in", "on", "with", "for", "or", "into", "until", "at", "is",
+]);
+
+/**
+ * Inverted index over library records, updated one record at a time.
+ * Queries match every word as a whole word or a prefix; `has:` restricts
+ * the following word to ingredients ("has: chickpeas").
+ */
+export class RecipeSearchIndex {
+  constructor() {
+    // term -> Map(recordId -> weighted term frequency)
+    this.postings = new Map();
+    // recordId -> Set of terms, so a record can be removed without a scan
+    this.documentTerms = new Map();
+    // recordId -> Set of ingredient terms, for has: queries
+    this.ingredientTerms = new Map();
+  }
+
+  /**
+   * Number of indexed records
+   * @returns {number}
+   */
+  get size() {
+    return this.documentTerms.size;
+  }
+
+  /**
+   * Index a library record, replacing any previous version of it
+   * @param {Object} record - Library record ({ id, recipe })
+   */
+  add(record) {
+    this.remove(record.id);
+
+    const fields = extractFields(record.recipe || {});
+    const terms = new Set();
+
+    Object.entries(fields).forEach(([field, text]) => {
+      tokenize(text).forEach((term) => {
+        terms.add(term);
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        const posting = this.postings.get(term);
+        posting.set(record.id, (posting.get(record.id) || 0) + FIELD_WEIGHTS[field]);
+      });
+    });
+
+    this.documentTerms.set(record.id, terms);
+    this.ingredientTerms.set(record.id, new Set(tokenize(fields.ingredients)));
+  }
+
+  /**
+   * Remove a record from the index
+   * @param {string} id - Library id
+   */
+  remove(id) {
+    const terms = this.documentTerms.get(id);
+    if (!terms) {
+      return;
+    }
+
+    terms.forEach((term) => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+    this.documentTerms.delete(id);
+    this.ingredientTerms.delete(id);
+  }
+
+  /**
+   * Find records matching every word of the query, best match first
+   * @param {string} query - Search text, e.g. "curry has: chickpeas"
+   * @returns {Array<{id: string, score: number}>} Ranked matches
+   */
+  search(query) {
+    const clauses = parseQuery(query);
+    if (clauses.length === 0) {
+      return [];
+    }
+
+    let scores = null;
+    for (const clause of clauses) {
+      const matches = this.matchTerm(clause.term, clause.ingredientsOnly);
+      // Every clause must match: intersect with what matched so far
+      scores = scores === null ? matches : intersect(scores, matches);
+      if (scores.size === 0) {
+        return [];
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Score every record containing the term, or a word starting with it
+   * @param {string} term - Normalized query term
+   * @param {boolean} ingredientsOnly - Only count ingredient matches
+   * @returns {Map<string, number>} recordId -> score
+   */
+  matchTerm(term, ingredientsOnly) {
+    const scores = new Map();
+    const total = Math.max(this.size, 1);
+
+    this.postings.forEach((posting, indexedTerm) => {
+      if (!indexedTerm.startsWith(term)) {
+        return;
+      }
+      const exactness = indexedTerm === term ? 1 : PREFIX_PENALTY;
+      // Rare terms say more about a record than common ones
+      const idf = Math.log(1 + total / posting.size);
+
+      posting.forEach((weight, id) => {
+        if (ingredientsOnly && !this.ingredientTerms.get(id).has(indexedTerm)) {
+          return;
+        }
+        scores.set(id, Math.max(scores.get(id) || 0, weight * exactness * idf));
+      });
+    });
+
+    return scores;
+  }
+}
+
+/**
+ * Split text into normalized, lightly stemmed search terms
+ * @param {string} text - Text to index or query
+ * @returns {Array<string>} Terms
+ */
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+function parseQuery(query) {
+  const clauses = [];
+  let ingredientsOnly = false;
+
+  (query || "").split(/\s+/).forEach((word) => {
+    const match = /^has:(.*)$/i.exec(word);
+    if (match) {
+      ingredientsOnly = true;
+      word = match[1];
+    }
+    tokenize(word).forEach((term) => {
+      clauses.push({ term, ingredientsOnly });
+      ingredientsOnly = false;
+    });
+  });
+
+  return clauses;
+}
+
+function extractFields(recipe) {
+  const ingredients = recipe.parsedIngredients && recipe.parsedIngredients.length > 0
+    ? recipe.parsedIngredients.map((ingredient) => ingredient.item || ingredient.text)
+    : recipe.ingredients || [];
+
+  return {
+    title: recipe.title || "",
+    tags: (recipe.tags || []).join(" "),
+    ingredients: ingredients.join(" "),
+    instructions: (recipe.instructions || []).map((step) => step.text).join(" "),
+  };
+}
+
+function stem(word) {
+  if (word.length > 4 && word.endsWith("ies")) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (/(?:ches|shes|sses|xes|oes)$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (word.length > 3 && /[^s]s$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+function intersect(scores, matches) {
+  const result = new Map();
+  scores.forEach((score, id) => {
+    if (matches.has(id)) {
+      result.set(id, score + matches.get(id));
+    }
+  });
+  return result;
+}
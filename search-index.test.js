@@ -0,0 +1,66 @@
+import { RecipeSearchIndex, tokenize } from './search-index.js';
+
+const record = (id, recipe) => ({ id, recipe });
+
+describe('tokenize', () => {
+  test('should lowercase, strip accents and stem plurals', () => {
+    expect(tokenize('Crème Brûlée with Berries')).toEqual(['creme', 'brulee', 'berry']);
+    expect(tokenize('Tomatoes and chickpeas')).toEqual(['tomato', 'chickpea']);
+  });
+});
+
+describe('RecipeSearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new RecipeSearchIndex();
+    index.add(record('curry', {
+      title: 'Chickpea Curry',
+      tags: ['vegan', 'indian'],
+      ingredients: ['1 can chickpeas', '1 onion'],
+      parsedIngredients: [{ item: 'chickpeas' }, { item: 'onion' }],
+      instructions: [{ section: null, text: 'Simmer with spices.' }]
+    }));
+    index.add(record('salad', {
+      title: 'Greek Salad',
+      tags: ['vegetarian'],
+      ingredients: ['2 tomatoes', '100 g feta'],
+      instructions: [{ section: null, text: 'Serve with roasted chickpeas on the side.' }]
+    }));
+    index.add(record('soup', {
+      title: 'Tomato Soup',
+      ingredients: ['6 tomatoes', '1 onion'],
+      instructions: [{ section: null, text: 'Blend until smooth.' }]
+    }));
+  });
+
+  test('should rank title matches above instruction matches', () => {
+    expect(index.search('chickpeas').map((match) => match.id)).toEqual(['curry', 'salad']);
+  });
+
+  test('should restrict has: queries to ingredients', () => {
+    expect(index.search('has: chickpeas').map((match) => match.id)).toEqual(['curry']);
+    expect(index.search('has:onion').map((match) => match.id).sort()).toEqual(['curry', 'soup']);
+  });
+
+  test('should match prefixes', () => {
+    expect(index.search('chick').map((match) => match.id)).toEqual(['curry', 'salad']);
+    expect(index.search('veg').map((match) => match.id).sort()).toEqual(['curry', 'salad']);
+  });
+
+  test('should require every query word to match', () => {
+    expect(index.search('tomato soup').map((match) => match.id)).toEqual(['soup']);
+    expect(index.search('tomato curry')).toEqual([]);
+    expect(index.search('')).toEqual([]);
+  });
+
+  test('should update incrementally on add and remove', () => {
+    index.remove('curry');
+    expect(index.search('has: chickpeas')).toEqual([]);
+    expect(index.size).toBe(2);
+
+    index.add(record('soup', { title: 'Lentil Soup', ingredients: ['1 cup lentils'] }));
+    expect(index.search('tomato').map((match) => match.id)).toEqual(['salad']);
+    expect(index.search('lentil').map((match) => match.id)).toEqual(['soup']);
+  });
+});
@@ -0,0 +1,62 @@
+// structured-data.js - Find recipes in structured data embedded in the page
+import { normalizeRecipe, hasType } from "./recipe-normalizer.js";
+
+/**
+ * Find every schema.org Recipe node in a list of parsed JSON-LD blocks.
+ * Handles top-level arrays, @graph containers and recipes nested under
+ * mainEntity / mainEntityOfPage (common on WebPage wrappers).
+ * @param {Array<Object>} blocks - Parsed JSON-LD documents
+ * @returns {Array<Object>} Raw Recipe nodes in document order
+ */
+export function findJsonLdRecipes(blocks) {
+  const recipes = [];
+  const seen = new Set();
+
+  const visit = (node, depth) => {
+    if (!node || typeof node !== "object" || depth > 8 || seen.has(node)) {
+      return;
+    }
+    seen.add(node);
+
+    if (Array.isArray(node)) {
+      node.forEach((child) => visit(child, depth + 1));
+      return;
+    }
+
+    if (hasType(node, "Recipe")) {
+      recipes.push(node);
+      return;
+    }
+
+    visit(node["@graph"], depth + 1);
+    visit(node.mainEntity, depth + 1);
+    visit(node.mainEntityOfPage, depth + 1);
+  };
+
+  visit(blocks || [], 0);
+  return recipes;
+}
+
+/**
+ * Build normalized recipes from the structured data collected by extractPageContent.
+ * Microdata and RDFa items arrive already shaped like JSON-LD nodes, with every
+ * property collected into an array.
+ * @param {Object} pageContent - Result of extractPageContent
+ * @returns {Array<Object>} Normalized recipes, best candidate first
+ */
+export function getStructuredRecipes(pageContent) {
+  const candidates = [
+    ...findJsonLdRecipes(pageContent.jsonLd).map((node) => normalizeRecipe(node, "json-ld")),
+    ...(pageContent.microdata || []).map((item) => normalizeRecipe(item, "microdata")),
+    ...(pageContent.rdfa || []).map((item) => normalizeRecipe(item, "rdfa")),
+  ];
+
+  // Array.prototype.sort is stable, so equally complete recipes keep source priority
+  return candidates
+    .filter((recipe) => recipe.ingredients.length > 0 || recipe.instructions.length > 0)
+    .sort((a, b) => completeness(b) - completeness(a));
+}
+
+function completeness(recipe) {
+  return recipe.ingredients.length + recipe.instructions.length;
+}
@@ -0,0 +1,103 @@
+import { findJsonLdRecipes, getStructuredRecipes } from './structured-data.js';
+import { durationToMinutes } from './recipe-normalizer.js';
+
+describe('findJsonLdRecipes', () => {
+  test('should find recipes in arrays, @graph and mainEntity wrappers', () => {
+    const blocks = [
+      [{ '@type': 'Organization' }, { '@type': 'Recipe', name: 'A' }],
+      { '@graph': [{ '@type': ['Recipe', 'NewsArticle'], name: 'B' }] },
+      { '@type': 'WebPage', mainEntity: { '@type': 'http://schema.org/Recipe', name: 'C' } }
+    ];
+
+    const names = findJsonLdRecipes(blocks).map((recipe) => recipe.name);
+
+    expect(names).toEqual(['A', 'B', 'C']);
+  });
+
+  test('should return an empty list when there is no recipe', () => {
+    expect(findJsonLdRecipes([{ '@type': 'Article' }])).toEqual([]);
+    expect(findJsonLdRecipes(undefined)).toEqual([]);
+  });
+});
+
+describe('getStructuredRecipes', () => {
+  test('should normalize a recipe with nested HowToSections', () => {
+    const [recipe] = getStructuredRecipes({
+      jsonLd: [{
+        '@type': 'Recipe',
+        name: 'Lasagna &amp; Salad',
+        image: [{ '@type': 'ImageObject', url: 'https://example.com/hero.jpg' }],
+        author: { '@type': 'Person', name: 'Sam' },
+        recipeYield: ['6', '6 servings'],
+        prepTime: 'PT20M',
+        cookTime: 'PT1H',
+        keywords: 'pasta, Baked',
+        recipeIngredient: ['1 lb pasta', ' 2 cups sauce '],
+        recipeInstructions: [
+          {
+            '@type': 'HowToSection',
+            name: 'Sauce',
+            itemListElement: [{ '@type': 'HowToStep', text: 'Simmer the sauce.' }]
+          },
+          {
+            '@type': 'HowToSection',
+            name: 'Assembly',
+            itemListElement: [
+              { '@type': 'HowToStep', text: 'Layer.', image: 'https://example.com/layer.jpg' },
+              { '@type': 'HowToStep', text: 'Bake.' }
+            ]
+          }
+        ]
+      }]
+    });
+
+    expect(recipe).toMatchObject({
+      source: 'json-ld',
+      title: 'Lasagna & Salad',
+      image: 'https://example.com/hero.jpg',
+      author: 'Sam',
+      yield: '6',
+      prepTime: 20,
+      cookTime: 60,
+      totalTime: null,
+      ingredients: ['1 lb pasta', '2 cups sauce'],
+      tags: ['pasta', 'baked']
+    });
+    expect(recipe.instructions).toEqual([
+      { section: 'Sauce', text: 'Simmer the sauce.' },
+      { section: 'Assembly', text: 'Layer.', image: 'https://example.com/layer.jpg' },
+      { section: 'Assembly', text: 'Bake.' }
+    ]);
+  });
+
+  test('should prefer the most complete recipe across sources', () => {
+    const recipes = getStructuredRecipes({
+      jsonLd: [{ '@type': 'Recipe', name: 'Partial', recipeIngredient: ['salt'] }],
+      microdata: [{
+        '@type': ['Recipe'],
+        name: ['Full'],
+        recipeIngredient: ['salt', 'pepper'],
+        recipeInstructions: ['Season.']
+      }],
+      rdfa: []
+    });
+
+    expect(recipes.map((recipe) => [recipe.title, recipe.source])).toEqual([
+      ['Full', 'microdata'],
+      ['Partial', 'json-ld']
+    ]);
+  });
+
+  test('should skip recipes without ingredients or instructions', () => {
+    expect(getStructuredRecipes({ jsonLd: [{ '@type': 'Recipe', name: 'Empty' }] })).toEqual([]);
+  });
+});
+
+describe('durationToMinutes', () => {
+  test('should parse ISO 8601 durations', () => {
+    expect(durationToMinutes('PT1H30M')).toBe(90);
+    expect(durationToMinutes('P1DT2H')).toBe(1560);
+    expect(durationToMinutes('PT')).toBeNull();
+    expect(durationToMinutes('about an hour')).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+// unit-conversion.js - Convert recipes between metric and US customary units
+import { formatIngredient } from "./recipe-scaler.js";
+
+export const UNIT_SYSTEMS = {
+  ORIGINAL: "original",
+  METRIC: "metric",
+  US: "us",
+};
+
+// Millilitres per unit
+const VOLUME = {
+  tsp: 4.92892,
+  tbsp: 14.7868,
+  "fl oz": 29.5735,
+  cup: 236.588,
+  pint: 473.176,
+  quart: 946.353,
+  gallon: 3785.41,
+  ml: 1,
+  cl: 10,
+  dl: 100,
+  l: 1000,
+};
+
+// Grams per unit
+const WEIGHT = {
+  mg: 0.001,
+  g: 1,
+  kg: 1000,
+  oz: 28.3495,
+  lb: 453.592,
+};
+
+/**
+ * Grams per millilitre for common ingredients, most specific names first.
+ * `solid` ingredients are weighed in metric kitchens and measured by
+ * volume in US ones; liquids stay volumes either way.
+ */
+const DENSITIES = [
+  { names: ["brown sugar"], density: 0.93, solid: true },
+  { names: ["powdered sugar", "icing sugar", "confectioners' sugar", "confectioners sugar"], density: 0.51, solid: true },
+  { names: ["sugar"], density: 0.845, solid: true },
+  { names: ["bread flour", "all-purpose flour", "plain flour", "flour"], density: 0.528, solid: true },
+  { names: ["cocoa powder", "cocoa"], density: 0.42, solid: true },
+  { names: ["butter"], density: 0.959, solid: true },
+  { names: ["oats"], density: 0.38, solid: true },
+  { names: ["rice"], density: 0.85, solid: true },
+  { names: ["salt"], density: 1.2, solid: true },
+  { names: ["honey", "maple syrup"], density: 1.42, solid: false },
+  { names: ["oil"], density: 0.92, solid: false },
+  { names: ["buttermilk", "milk", "cream", "water", "stock", "broth"], density: 1.0, solid: false },
+];
+
+const TEMPERATURE_PATTERN =
+  /\b(\d{2,3})(?:\s*[°º˚]\s*|\s*degrees?\s+|)(F|C|Fahrenheit|Celsius|Centigrade)\b/g;
+
+/**
+ * Convert a parsed ingredient to the given unit system
+ * @param {Object} ingredient - Parsed ingredient (see ingredient-parser.js)
+ * @param {string} system - One of UNIT_SYSTEMS
+ * @returns {Object} Converted ingredient, or the same object if nothing applies
+ */
+export function convertIngredient(ingredient, system) {
+  const { quantity, unit } = ingredient;
+  if (system === UNIT_SYSTEMS.ORIGINAL || quantity === null || !unit) {
+    return ingredient;
+  }
+
+  const density = findDensity(ingredient.item);
+  let target = null;
+
+  if (unit in VOLUME) {
+    const ml = quantity * VOLUME[unit];
+    if (system === UNIT_SYSTEMS.METRIC) {
+      target = density && density.solid ? metricWeight(ml * density.density) : metricVolume(ml);
+    } else if (!isUsVolume(unit)) {
+      target = usVolume(ml);
+    }
+  } else if (unit in WEIGHT) {
+    const grams = quantity * WEIGHT[unit];
+    if (system === UNIT_SYSTEMS.US) {
+      target = density && density.solid ? usVolume(grams / density.density) : usWeight(grams);
+    } else if (unit === "oz" || unit === "lb") {
+      target = metricWeight(grams);
+    }
+  }
+
+  if (!target) {
+    return ingredient;
+  }
+
+  const ratio = target.quantity / quantity;
+  return {
+    ...ingredient,
+    quantity: target.quantity,
+    quantityMax: ingredient.quantityMax === null ? null : ingredient.quantityMax * ratio,
+    unit: target.unit,
+  };
+}
+
+/**
+ * Convert oven temperatures mentioned in free text ("Bake at 350°F")
+ * @param {string} text - Instruction text
+ * @param {string} system - One of UNIT_SYSTEMS
+ * @returns {string} Text with temperatures in the target scale
+ */
+export function convertTemperaturesInText(text, system) {
+  if (system === UNIT_SYSTEMS.ORIGINAL) {
+    return text;
+  }
+
+  return text.replace(TEMPERATURE_PATTERN, (match, value, scale) => {
+    const fahrenheit = scale[0].toUpperCase() === "F";
+    const degrees = Number(value);
+    if (system === UNIT_SYSTEMS.METRIC && fahrenheit) {
+      return `${roundTo((degrees - 32) * (5 / 9), 5)}°C`;
+    }
+    if (system === UNIT_SYSTEMS.US && !fahrenheit) {
+      return `${roundTo(degrees * (9 / 5) + 32, 5)}°F`;
+    }
+    return match;
+  });
+}
+
+/**
+ * Convert a whole recipe for display: ingredients and instruction temperatures
+ * @param {Object} recipe - Recipe with `parsedIngredients`
+ * @param {string} system - One of UNIT_SYSTEMS
+ * @returns {Object} Converted copy of the recipe
+ */
+export function convertRecipe(recipe, system) {
+  if (system === UNIT_SYSTEMS.ORIGINAL) {
+    return recipe;
+  }
+
+  const parsedIngredients = (recipe.parsedIngredients || []).map((ingredient) =>
+    convertIngredient(ingredient, system),
+  );
+
+  return {
+    ...recipe,
+    // Only rewrite lines that actually changed, so untouched ones keep their wording
+    ingredients: (recipe.ingredients || []).map((line, index) => {
+      const original = recipe.parsedIngredients && recipe.parsedIngredients[index];
+      const converted = parsedIngredients[index];
+      return converted && converted !== original ? formatIngredient(converted) : line;
+    }),
+    parsedIngredients,
+    instructions: (recipe.instructions || []).map((step) => ({
+      ...step,
+      text: convertTemperaturesInText(step.text, system),
+    })),
+    unitSystem: system,
+  };
+}
+
+/**
+ * Find the density entry for an ingredient. A name has to be the whole of the
+ * ingredient or its last words, before any ", melted" or "(packed)" note, so
+ * "rice vinegar", "sugar snap peas" and "buttermilk" aren't taken for rice,
+ * sugar and butter.
+ * @param {string} item - Ingredient name from the parser
+ * @returns {Object|undefined} DENSITIES entry
+ */
+function findDensity(item) {
+  const name = (item || "").toLowerCase().split(/[,(]/)[0].trim().replace(/\s+/g, " ");
+  return DENSITIES.find((entry) =>
+    entry.names.some((candidate) => name === candidate || name.endsWith(` ${candidate}`)));
+}
+
+function isUsVolume(unit) {
+  return ["tsp", "tbsp", "fl oz", "cup", "pint", "quart", "gallon"].includes(unit);
+}
+
+function metricVolume(ml) {
+  return ml >= 1000 ? { quantity: ml / 1000, unit: "l" } : { quantity: ml, unit: "ml" };
+}
+
+function metricWeight(grams) {
+  return grams >= 1000 ? { quantity: grams / 1000, unit: "kg" } : { quantity: grams, unit: "g" };
+}
+
+function usVolume(ml) {
+  if (ml < VOLUME.tbsp) {
+    return { quantity: ml / VOLUME.tsp, unit: "tsp" };
+  }
+  if (ml < VOLUME.cup / 4) {
+    return { quantity: ml / VOLUME.tbsp, unit: "tbsp" };
+  }
+  return { quantity: ml / VOLUME.cup, unit: "cup" };
+}
+
+function usWeight(grams) {
+  return grams >= WEIGHT.lb
+    ? { quantity: grams / WEIGHT.lb, unit: "lb" }
+    : { quantity: grams / WEIGHT.oz, unit: "oz" };
+}
+
+function roundTo(value, step) {
+  return Math.round(value / step) * step;
+}
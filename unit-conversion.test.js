@@ -0,0 +1,92 @@
+import {
+  convertIngredient,
+  convertTemperaturesInText,
+  convertRecipe,
+  UNIT_SYSTEMS
+} from './unit-conversion.js';
+import { parseIngredient, parseRecipeIngredients } from './ingredient-parser.js';
+
+describe('convertIngredient', () => {
+  test('should convert US volumes and weights to metric', () => {
+    expect(convertIngredient(parseIngredient('2 cups milk'), UNIT_SYSTEMS.METRIC))
+      .toMatchObject({ unit: 'ml', quantity: expect.closeTo(473.2, 1) });
+    expect(convertIngredient(parseIngredient('2 lb chicken thighs'), UNIT_SYSTEMS.METRIC))
+      .toMatchObject({ unit: 'g', quantity: expect.closeTo(907.2, 1) });
+    expect(convertIngredient(parseIngredient('5 quarts water'), UNIT_SYSTEMS.METRIC))
+      .toMatchObject({ unit: 'l', quantity: expect.closeTo(4.73, 2) });
+  });
+
+  test('should weigh solid ingredients using the density table', () => {
+    expect(convertIngredient(parseIngredient('1 cup all-purpose flour'), UNIT_SYSTEMS.METRIC))
+      .toMatchObject({ unit: 'g', quantity: expect.closeTo(125, 0) });
+    expect(convertIngredient(parseIngredient('1 cup sugar'), UNIT_SYSTEMS.METRIC))
+      .toMatchObject({ unit: 'g', quantity: expect.closeTo(200, 0) });
+    expect(convertIngredient(parseIngredient('227 g butter'), UNIT_SYSTEMS.US))
+      .toMatchObject({ unit: 'cup', quantity: expect.closeTo(1, 1) });
+  });
+
+  test('should match density names as whole words at the end of the ingredient', () => {
+    expect(convertIngredient(parseIngredient('1 cup buttermilk'), UNIT_SYSTEMS.METRIC))
+      .toMatchObject({ unit: 'ml', quantity: expect.closeTo(236.6, 1) });
+    expect(convertIngredient(parseIngredient('2 tbsp rice vinegar'), UNIT_SYSTEMS.METRIC))
+      .toMatchObject({ unit: 'ml', quantity: expect.closeTo(29.6, 1) });
+    expect(convertIngredient(parseIngredient('1 cup sugar snap peas'), UNIT_SYSTEMS.METRIC))
+      .toMatchObject({ unit: 'ml' });
+    expect(convertIngredient(parseIngredient('100 g licorice'), UNIT_SYSTEMS.US))
+      .toMatchObject({ unit: 'oz', quantity: expect.closeTo(3.53, 2) });
+  });
+
+  test('should still find names followed by a preparation note', () => {
+    expect(convertIngredient(parseIngredient('1 cup unsalted butter, melted'), UNIT_SYSTEMS.METRIC))
+      .toMatchObject({ unit: 'g', quantity: expect.closeTo(226.9, 0) });
+    expect(convertIngredient(parseIngredient("1 cup confectioners' sugar (sifted)"), UNIT_SYSTEMS.METRIC))
+      .toMatchObject({ unit: 'g', quantity: expect.closeTo(120.7, 0) });
+  });
+
+  test('should convert metric to US customary', () => {
+    expect(convertIngredient(parseIngredient('10 ml vanilla extract'), UNIT_SYSTEMS.US))
+      .toMatchObject({ unit: 'tsp', quantity: expect.closeTo(2, 1) });
+    expect(convertIngredient(parseIngredient('600 g beef mince'), UNIT_SYSTEMS.US))
+      .toMatchObject({ unit: 'lb', quantity: expect.closeTo(1.32, 2) });
+  });
+
+  test('should leave unconvertible ingredients alone', () => {
+    const garlic = parseIngredient('2 cloves garlic');
+    const cups = parseIngredient('2 cups milk');
+
+    expect(convertIngredient(garlic, UNIT_SYSTEMS.METRIC)).toBe(garlic);
+    expect(convertIngredient(cups, UNIT_SYSTEMS.US)).toBe(cups);
+    expect(convertIngredient(cups, UNIT_SYSTEMS.ORIGINAL)).toBe(cups);
+  });
+});
+
+describe('convertTemperaturesInText', () => {
+  test('should convert oven temperatures', () => {
+    expect(convertTemperaturesInText('Bake at 350°F for 20 minutes.', UNIT_SYSTEMS.METRIC))
+      .toBe('Bake at 175°C for 20 minutes.');
+    expect(convertTemperaturesInText('Heat oven to 425 degrees F.', UNIT_SYSTEMS.METRIC))
+      .toBe('Heat oven to 220°C.');
+    expect(convertTemperaturesInText('Roast at 200 °C.', UNIT_SYSTEMS.US))
+      .toBe('Roast at 390°F.');
+  });
+
+  test('should not touch text already in the target scale', () => {
+    expect(convertTemperaturesInText('Bake at 180°C.', UNIT_SYSTEMS.METRIC)).toBe('Bake at 180°C.');
+    expect(convertTemperaturesInText('Use 2 C of flour.', UNIT_SYSTEMS.METRIC)).toBe('Use 2 C of flour.');
+  });
+});
+
+describe('convertRecipe', () => {
+  test('should rewrite converted lines and keep the others', () => {
+    const recipe = parseRecipeIngredients({
+      ingredients: ['1 cup flour', '2 eggs'],
+      instructions: [{ section: null, text: 'Bake at 350F.' }]
+    });
+
+    const converted = convertRecipe(recipe, UNIT_SYSTEMS.METRIC);
+
+    expect(converted.ingredients).toEqual(['125 g flour', '2 eggs']);
+    expect(converted.instructions[0].text).toBe('Bake at 175°C.');
+    expect(converted.unitSystem).toBe('metric');
+  });
+});